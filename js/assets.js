@@ -28,10 +28,14 @@ class Assets {
     }
 
     /**
-     * Generate player sprite frames
+     * Generate player sprite frames for a skin (see js/skins.js)
+     * 0-3 running, 4 jump rise, 5 sliding, 6-9 rolling, 10-13 stumbling,
+     * 14 apex, 15-16 falling, 17 landing crouch
      */
-    generatePlayerFrames(width = 32, height = 48) {
-        return this.get('player', () => {
+    generatePlayerFrames(width = 32, height = 48, skinId = Skins.defaultSkin) {
+        return this.get(`player_${skinId}`, () => {
+            const skin = Skins.get(skinId);
+            const p = skin.palette;
             const frames = [];
             
             // Running frames (4 frames)
@@ -45,52 +49,56 @@ class Assets {
                 const legPhase = i * Math.PI / 2;
                 const legOffset = Math.sin(legPhase) * 4;
                 
+                // Long coat tails flapping behind
+                this.drawCoatTails(ctx, skin, 6, 30, 5, 12 + (i % 2) * 3);
+                
                 // Shadow/glow under character
-                ctx.shadowColor = this.colors.neonCyan;
+                ctx.shadowColor = p.visor;
                 ctx.shadowBlur = 10;
                 
                 // Body (dark coat)
-                ctx.fillStyle = '#1a1a2e';
+                ctx.fillStyle = p.coat;
                 ctx.fillRect(8, 12, 16, 22);
                 
                 // Coat highlights
-                ctx.fillStyle = this.colors.neonPink;
+                ctx.fillStyle = p.trim;
                 ctx.fillRect(8, 12, 2, 18);
                 ctx.fillRect(22, 12, 2, 18);
                 ctx.shadowBlur = 0;
                 
                 // Head
-                ctx.fillStyle = '#2a2a3e';
+                ctx.fillStyle = p.head;
                 ctx.fillRect(10, 2, 12, 12);
                 
                 // Visor/cybernetic eyes
-                ctx.fillStyle = this.colors.neonCyan;
-                ctx.shadowColor = this.colors.neonCyan;
+                ctx.fillStyle = p.visor;
+                ctx.shadowColor = p.visor;
                 ctx.shadowBlur = 6;
                 ctx.fillRect(10, 5, 12, 3);
                 ctx.shadowBlur = 0;
                 
                 // Hair/helmet top
-                ctx.fillStyle = '#1a1a2e';
+                ctx.fillStyle = p.coat;
                 ctx.fillRect(10, 0, 12, 4);
+                this.drawHeadgear(ctx, skin, 10, 2, 12, 12);
                 
                 // Legs (animated)
-                ctx.fillStyle = '#15152a';
+                ctx.fillStyle = p.legs;
                 // Back leg
                 ctx.fillRect(10 - legOffset/2, 34, 5, 14);
                 // Front leg
                 ctx.fillRect(17 + legOffset/2, 34, 5, 14);
                 
                 // Leg glow strips
-                ctx.fillStyle = this.colors.neonPink;
-                ctx.shadowColor = this.colors.neonPink;
+                ctx.fillStyle = p.trim;
+                ctx.shadowColor = p.trim;
                 ctx.shadowBlur = 4;
                 ctx.fillRect(10 - legOffset/2, 36, 1, 10);
                 ctx.fillRect(21 + legOffset/2, 36, 1, 10);
                 ctx.shadowBlur = 0;
                 
                 // Arms (animated opposite to legs)
-                ctx.fillStyle = '#1a1a2e';
+                ctx.fillStyle = p.coat;
                 ctx.fillRect(5 + legOffset/2, 14, 3, 12);
                 ctx.fillRect(24 - legOffset/2, 14, 3, 12);
                 
@@ -103,57 +111,305 @@ class Assets {
             jumpCanvas.height = height;
             const jctx = jumpCanvas.getContext('2d');
             
+            // Coat tails streaming out behind
+            this.drawCoatTails(jctx, skin, 2, 26, 8, 8);
+            
             // Body
-            jctx.fillStyle = '#1a1a2e';
+            jctx.fillStyle = p.coat;
             jctx.fillRect(8, 8, 16, 22);
             
             // Coat highlights
-            jctx.fillStyle = this.colors.neonPink;
-            jctx.shadowColor = this.colors.neonPink;
+            jctx.fillStyle = p.trim;
+            jctx.shadowColor = p.trim;
             jctx.shadowBlur = 6;
             jctx.fillRect(8, 8, 2, 18);
             jctx.fillRect(22, 8, 2, 18);
             jctx.shadowBlur = 0;
             
             // Head
-            jctx.fillStyle = '#2a2a3e';
+            jctx.fillStyle = p.head;
             jctx.fillRect(10, 0, 12, 10);
             
             // Visor
-            jctx.fillStyle = this.colors.neonCyan;
-            jctx.shadowColor = this.colors.neonCyan;
+            jctx.fillStyle = p.visor;
+            jctx.shadowColor = p.visor;
             jctx.shadowBlur = 8;
             jctx.fillRect(10, 2, 12, 3);
             jctx.shadowBlur = 0;
             
             // Hair/helmet
-            jctx.fillStyle = '#1a1a2e';
+            jctx.fillStyle = p.coat;
             jctx.fillRect(10, -2, 12, 4);
+            this.drawHeadgear(jctx, skin, 10, 0, 12, 10);
             
             // Legs tucked up
-            jctx.fillStyle = '#15152a';
+            jctx.fillStyle = p.legs;
             jctx.fillRect(9, 30, 6, 10);
             jctx.fillRect(17, 30, 6, 10);
             
             // Leg glows
-            jctx.fillStyle = this.colors.neonPink;
-            jctx.shadowColor = this.colors.neonPink;
+            jctx.fillStyle = p.trim;
+            jctx.shadowColor = p.trim;
             jctx.shadowBlur = 4;
             jctx.fillRect(9, 32, 1, 6);
             jctx.fillRect(22, 32, 1, 6);
             jctx.shadowBlur = 0;
             
             // Arms spread
-            jctx.fillStyle = '#1a1a2e';
+            jctx.fillStyle = p.coat;
             jctx.fillRect(3, 10, 4, 10);
             jctx.fillRect(25, 10, 4, 10);
             
             frames.push(jumpCanvas);
             
+            // Sliding frame (index 5) - leaning back, feet first, in the lower half
+            const slideCanvas = document.createElement('canvas');
+            slideCanvas.width = width;
+            slideCanvas.height = height;
+            const sctx = slideCanvas.getContext('2d');
+            
+            // Coat tails dragging along the roof
+            this.drawCoatTails(sctx, skin, 0, 42, 10, 3);
+            
+            // Legs out in front
+            sctx.fillStyle = p.legs;
+            sctx.fillRect(14, 40, 18, 5);
+            sctx.fillStyle = p.trim;
+            sctx.shadowColor = p.trim;
+            sctx.shadowBlur = 4;
+            sctx.fillRect(16, 44, 14, 1);
+            sctx.shadowBlur = 0;
+            
+            // Body leaning back
+            sctx.fillStyle = p.coat;
+            sctx.fillRect(4, 32, 16, 12);
+            sctx.fillStyle = p.trim;
+            sctx.fillRect(4, 32, 16, 2);
+            
+            // Head and visor
+            sctx.fillStyle = p.head;
+            sctx.fillRect(0, 26, 11, 10);
+            sctx.fillStyle = p.visor;
+            sctx.shadowColor = p.visor;
+            sctx.shadowBlur = 6;
+            sctx.fillRect(2, 28, 9, 3);
+            sctx.shadowBlur = 0;
+            this.drawHeadgear(sctx, skin, 0, 26, 11, 10);
+            
+            // Trailing hand on the roof
+            sctx.fillStyle = p.coat;
+            sctx.fillRect(2, 43, 8, 3);
+            
+            frames.push(slideCanvas);
+            
+            // Rolling frames (indices 6-9) - tucked ball turning a quarter per frame
+            for (let i = 0; i < 4; i++) {
+                const rollCanvas = document.createElement('canvas');
+                rollCanvas.width = width;
+                rollCanvas.height = height;
+                const rctx = rollCanvas.getContext('2d');
+                
+                rctx.translate(width / 2, height - 12);
+                rctx.rotate(i * Math.PI / 2);
+                
+                // Curled body
+                rctx.fillStyle = p.coat;
+                rctx.beginPath();
+                rctx.arc(0, 0, 11, 0, Math.PI * 2);
+                rctx.fill();
+                
+                // Coat highlight sweeping round
+                rctx.strokeStyle = p.trim;
+                rctx.shadowColor = p.trim;
+                rctx.shadowBlur = 6;
+                rctx.lineWidth = 2;
+                rctx.beginPath();
+                rctx.arc(0, 0, 10, 0, Math.PI * 0.8);
+                rctx.stroke();
+                rctx.shadowBlur = 0;
+                
+                // Visor glint
+                rctx.fillStyle = p.visor;
+                rctx.fillRect(-3, -10, 6, 3);
+                
+                frames.push(rollCanvas);
+            }
+            
+            // Stumbling frames (indices 10-13) - pitched forward off the front foot, arms flailing
+            const stumblePitch = [0.25, 0.45, 0.35, 0.12];
+            for (let i = 0; i < 4; i++) {
+                const stumbleCanvas = document.createElement('canvas');
+                stumbleCanvas.width = width;
+                stumbleCanvas.height = height;
+                const tctx = stumbleCanvas.getContext('2d');
+                
+                // Pivot round the front foot
+                tctx.translate(20, height);
+                tctx.rotate(stumblePitch[i]);
+                tctx.translate(-20, -height);
+                
+                this.drawCoatTails(tctx, skin, 6, 30, 5, 10);
+                
+                // Legs - back leg kicked up
+                tctx.fillStyle = p.legs;
+                tctx.fillRect(17, 34, 5, 14);
+                tctx.fillRect(6, 32 - i * 2, 5, 12);
+                
+                // Body
+                tctx.fillStyle = p.coat;
+                tctx.fillRect(8, 12, 16, 22);
+                tctx.fillStyle = p.trim;
+                tctx.shadowColor = p.trim;
+                tctx.shadowBlur = 4;
+                tctx.fillRect(8, 12, 2, 18);
+                tctx.fillRect(22, 12, 2, 18);
+                tctx.shadowBlur = 0;
+                
+                // Head and visor
+                tctx.fillStyle = p.head;
+                tctx.fillRect(10, 2, 12, 12);
+                tctx.fillStyle = p.visor;
+                tctx.fillRect(10, 5, 12, 3);
+                tctx.fillStyle = p.coat;
+                tctx.fillRect(10, 0, 12, 4);
+                this.drawHeadgear(tctx, skin, 10, 2, 12, 12);
+                
+                // Arms thrown out for balance
+                tctx.fillStyle = p.coat;
+                tctx.fillRect(1, 6 + i * 3, 8, 3);
+                tctx.fillRect(23, 4 + (3 - i) * 3, 8, 3);
+                
+                frames.push(stumbleCanvas);
+            }
+            
+            // Apex (index 14) - knees pulled up high, arms out, hanging in the air
+            frames.push(this.drawPose(width, height, skin, {
+                tails: [2, 24, 7, 6],
+                body: [8, 8, 16, 20],
+                head: [10, 0, 12, 10],
+                legs: [[9, 26, 6, 8], [17, 24, 6, 8]],
+                arms: [[2, 6, 5, 4], [25, 6, 5, 4]]
+            }));
+            
+            // Falling (indices 15-16) - legs reaching down for the roof, arms up and flailing
+            for (let i = 0; i < 2; i++) {
+                frames.push(this.drawPose(width, height, skin, {
+                    tails: [5, 4, 6, 10],
+                    body: [8, 12, 16, 22],
+                    head: [10, 2, 12, 12],
+                    legs: [[8, 34, 5, 14], [19, 33 + i * 2, 5, 13]],
+                    arms: [[4, 2 + i * 3, 3, 12], [25, 5 - i * 3, 3, 12]]
+                }));
+            }
+            
+            // Landing crouch (index 17) - knees bent, arms down to take the impact
+            frames.push(this.drawPose(width, height, skin, {
+                tails: [5, 34, 5, 10],
+                body: [8, 18, 16, 18],
+                head: [10, 8, 12, 12],
+                legs: [[7, 36, 7, 12], [18, 36, 7, 12]],
+                arms: [[4, 24, 4, 10], [24, 24, 4, 10]]
+            }));
+            
             return frames;
         });
     }
 
+    /**
+     * Draw a simple player pose from rectangles ([x, y, w, h]) in a skin's colors
+     * Used for the airborne and landing frames
+     */
+    drawPose(width, height, skin, pose) {
+        const p = skin.palette;
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        
+        this.drawCoatTails(ctx, skin, ...pose.tails);
+        
+        // Legs with glow strips
+        for (const [x, y, w, h] of pose.legs) {
+            ctx.fillStyle = p.legs;
+            ctx.fillRect(x, y, w, h);
+            ctx.fillStyle = p.trim;
+            ctx.fillRect(x, y + 2, 1, h - 4);
+        }
+        
+        // Body with coat highlights
+        const [bx, by, bw, bh] = pose.body;
+        ctx.fillStyle = p.coat;
+        ctx.fillRect(bx, by, bw, bh);
+        ctx.fillStyle = p.trim;
+        ctx.shadowColor = p.trim;
+        ctx.shadowBlur = 6;
+        ctx.fillRect(bx, by, 2, bh - 4);
+        ctx.fillRect(bx + bw - 2, by, 2, bh - 4);
+        ctx.shadowBlur = 0;
+        
+        // Head, visor and hair
+        const [hx, hy, hw, hh] = pose.head;
+        ctx.fillStyle = p.head;
+        ctx.fillRect(hx, hy, hw, hh);
+        ctx.fillStyle = p.visor;
+        ctx.shadowColor = p.visor;
+        ctx.shadowBlur = 6;
+        ctx.fillRect(hx, hy + 3, hw, 3);
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = p.coat;
+        ctx.fillRect(hx, hy - 2, hw, 4);
+        this.drawHeadgear(ctx, skin, hx, hy, hw, hh);
+        
+        // Arms
+        ctx.fillStyle = p.coat;
+        for (const [x, y, w, h] of pose.arms) {
+            ctx.fillRect(x, y, w, h);
+        }
+        
+        return canvas;
+    }
+
+    /**
+     * Draw a skin's hood or helmet over a head at (x, y, w, h)
+     */
+    drawHeadgear(ctx, skin, x, y, w, h) {
+        const p = skin.palette;
+        
+        if (skin.silhouette.hood) {
+            // Hood pulled over the crown, draping down the back of the neck
+            ctx.fillStyle = p.coat;
+            ctx.fillRect(x - 2, y - 2, w + 3, 4);
+            ctx.fillRect(x - 3, y - 1, 4, h + 1);
+            ctx.fillStyle = p.trim;
+            ctx.fillRect(x - 2, y - 2, w + 3, 1);
+        }
+        
+        if (skin.silhouette.helmet) {
+            // Rounded shell with a fin and a visor slit across the full width
+            ctx.fillStyle = p.head;
+            ctx.fillRect(x - 1, y - 2, w + 2, Math.round(h * 0.4));
+            ctx.fillStyle = p.trim;
+            ctx.fillRect(x + 2, y - 2, w - 6, 1);
+            ctx.fillStyle = p.visor;
+            ctx.shadowColor = p.visor;
+            ctx.shadowBlur = 6;
+            ctx.fillRect(x - 1, y + Math.round(h * 0.3), w + 2, 3);
+            ctx.shadowBlur = 0;
+        }
+    }
+
+    /**
+     * Draw long coat tails (only for skins with a long coat)
+     */
+    drawCoatTails(ctx, skin, x, y, w, h) {
+        if (!skin.silhouette.longCoat) return;
+        
+        ctx.fillStyle = skin.palette.coat;
+        ctx.fillRect(x, y, w, h);
+        ctx.fillStyle = skin.palette.trim;
+        ctx.fillRect(x, y + h - 1, w, 1);
+    }
+
     /**
      * Generate a building for background layer
      */
@@ -13,6 +13,7 @@ class AudioSystem {
         this.initialized = false;
         this.sounds = {};
         this.currentMusic = null;
+        this.bossMusic = false; // Boss theme layered over the loop
     }
 
     /**
@@ -66,6 +67,24 @@ class AudioSystem {
             { freq: 50, duration: 0.2, type: 'sawtooth' }
         ]);
 
+        // Wall splat - short dull thud
+        this.sounds.splat = this.createRumbleBuffer(0.35);
+        
+        // Clipped ledge - metallic crack
+        this.sounds.clip = this.createToneBuffer([
+            { freq: 1200, duration: 0.04, type: 'square' },
+            { freq: 180, duration: 0.2, type: 'sawtooth' }
+        ]);
+        
+        // Falling into the abyss - long falling whistle
+        this.sounds.fall = this.createToneBuffer([
+            { freq: 700, duration: 0.15, type: 'sine' },
+            { freq: 520, duration: 0.15, type: 'sine' },
+            { freq: 380, duration: 0.2, type: 'sine' },
+            { freq: 260, duration: 0.25, type: 'sine' },
+            { freq: 160, duration: 0.35, type: 'sine' }
+        ]);
+
         // Power-up sound - ascending arpeggio
         this.sounds.powerup = this.createToneBuffer([
             { freq: 440, duration: 0.08, type: 'sine' },
@@ -74,11 +93,42 @@ class AudioSystem {
             { freq: 880, duration: 0.15, type: 'sine' }
         ]);
 
+        // Glass shatter - noise burst with bright ringing shards
+        this.sounds.glass = this.createShatterBuffer(0.35);
+        
+        // Thunder - long low rumble
+        this.sounds.thunder = this.createRumbleBuffer(1.8);
+        
+        // Slide - short scrape of noise
+        this.sounds.slide = this.createNoiseBuffer(0.25, 'highpass', 3000);
+        
+        // Stumble - scuffing thud
+        this.sounds.stumble = this.createNoiseBuffer(0.18, 'lowpass', 600);
+        
+        // Boss strike - short heavy rumble
+        this.sounds.blast = this.createRumbleBuffer(0.6);
+        
+        // Boss alarm - two-tone siren
+        this.sounds.alarm = this.createToneBuffer([
+            { freq: 660, duration: 0.18, type: 'square' },
+            { freq: 440, duration: 0.18, type: 'square' },
+            { freq: 660, duration: 0.18, type: 'square' },
+            { freq: 440, duration: 0.25, type: 'square' }
+        ]);
+
         // Coin/pickup sound
         this.sounds.pickup = this.createToneBuffer([
             { freq: 880, duration: 0.05, type: 'sine' },
             { freq: 1100, duration: 0.1, type: 'sine' }
         ]);
+
+        // Resume countdown - a beep per number, then a higher one on go
+        this.sounds.countdown = this.createToneBuffer([
+            { freq: 660, duration: 0.1, type: 'square' }
+        ]);
+        this.sounds.go = this.createToneBuffer([
+            { freq: 1320, duration: 0.2, type: 'square' }
+        ]);
     }
 
     /**
@@ -138,6 +188,56 @@ class AudioSystem {
         return buffer;
     }
 
+    /**
+     * Create a glass shatter buffer
+     * A sharp noise crack followed by randomly timed high-pitched tinkles
+     */
+    createShatterBuffer(duration) {
+        const sampleRate = this.context.sampleRate;
+        const length = Math.ceil(sampleRate * duration);
+        const buffer = this.context.createBuffer(1, length, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        // Initial crack
+        const crackLength = Math.floor(length * 0.15);
+        for (let i = 0; i < crackLength; i++) {
+            data[i] = (Math.random() * 2 - 1) * (1 - i / crackLength) * 0.4;
+        }
+        
+        // Tinkling shards
+        for (let n = 0; n < 12; n++) {
+            const start = Math.floor(Math.random() * length * 0.7);
+            const freq = 2500 + Math.random() * 3500;
+            const pingLength = Math.floor(sampleRate * 0.04);
+            for (let i = 0; i < pingLength && start + i < length; i++) {
+                const t = i / sampleRate;
+                data[start + i] += Math.sin(2 * Math.PI * freq * t) * (1 - i / pingLength) * 0.12;
+            }
+        }
+        
+        return buffer;
+    }
+
+    /**
+     * Create a rumble buffer
+     * Brown noise (integrated white noise) with a sharp start and slow fade
+     */
+    createRumbleBuffer(duration) {
+        const sampleRate = this.context.sampleRate;
+        const length = Math.ceil(sampleRate * duration);
+        const buffer = this.context.createBuffer(1, length, sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        let last = 0;
+        for (let i = 0; i < length; i++) {
+            last = (last + (Math.random() * 2 - 1) * 0.02) * 0.998;
+            const envelope = Math.pow(1 - i / length, 2);
+            data[i] = last * envelope * 4;
+        }
+        
+        return buffer;
+    }
+
     /**
      * Play a sound effect
      */
@@ -150,6 +250,18 @@ class AudioSystem {
         source.start();
     }
 
+    /**
+     * Subscribe to the player's state changes for movement sounds
+     * (jumps, landings and stumbles; a shield bounce plays its own sound)
+     */
+    followPlayer(player) {
+        player.state.on('jumpRise', event => {
+            if (event.cause === 'jump' || event.cause === 'airJump') this.play('jump');
+        });
+        player.state.on('landing', event => this.play(event.rolled ? 'slide' : 'land'));
+        player.state.on('stumbling', () => this.play('stumble'));
+    }
+
     /**
      * Start background music (procedural synthwave loop)
      */
@@ -412,6 +524,12 @@ class AudioSystem {
         const playMelody = () => {
             if (this.muted || !this.initialized) return;
             
+            // The boss siren takes over the lead
+            if (this.bossMusic) {
+                playSiren();
+                return;
+            }
+            
             const phrase = melodyPhrases[melodyPhraseIndex % melodyPhrases.length];
             const note = phrase[melodyNoteIndex % phrase.length];
             melodyNoteIndex++;
@@ -468,6 +586,43 @@ class AudioSystem {
         };
         this.musicIntervals.push(setInterval(playMelody, (beatDuration / 2) * 1000));
         
+        // === BOSS SIREN (replaces the melody during encounters) ===
+        // Detuned saw pair sliding between two notes every half beat
+        let sirenIndex = 0;
+        const playSiren = () => {
+            const high = sirenIndex % 2 === 0;
+            sirenIndex++;
+            
+            const osc = this.context.createOscillator();
+            const osc2 = this.context.createOscillator();
+            const gain = this.context.createGain();
+            const filter = this.context.createBiquadFilter();
+            
+            osc.type = 'sawtooth';
+            osc2.type = 'sawtooth';
+            osc.frequency.setValueAtTime(high ? 440 : 587, this.context.currentTime);
+            osc.frequency.linearRampToValueAtTime(high ? 587 : 440, this.context.currentTime + beatDuration * 0.45);
+            osc2.frequency.setValueAtTime(high ? 443 : 591, this.context.currentTime);
+            osc2.frequency.linearRampToValueAtTime(high ? 591 : 443, this.context.currentTime + beatDuration * 0.45);
+            
+            filter.type = 'lowpass';
+            filter.frequency.value = 1800;
+            filter.Q.value = 6;
+            
+            gain.gain.setValueAtTime(0.07, this.context.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.01, this.context.currentTime + beatDuration * 0.5);
+            
+            osc.connect(filter);
+            osc2.connect(filter);
+            filter.connect(gain);
+            gain.connect(this.musicGain);
+            
+            osc.start();
+            osc2.start();
+            osc.stop(this.context.currentTime + beatDuration * 0.5);
+            osc2.stop(this.context.currentTime + beatDuration * 0.5);
+        };
+        
         return { 
             stop: () => {
                 this.musicIntervals.forEach(interval => clearInterval(interval));
@@ -476,6 +631,16 @@ class AudioSystem {
         };
     }
 
+    /**
+     * Switch the boss theme on or off (sounds the alarm when a boss arrives)
+     */
+    setBossMusic(on) {
+        if (on && !this.bossMusic) {
+            this.play('alarm');
+        }
+        this.bossMusic = on;
+    }
+
     /**
      * Stop background music
      */
@@ -528,4 +693,19 @@ class AudioSystem {
             this.masterGain.gain.value = this.muted ? 0 : 1;
         }
     }
+
+    /**
+     * Stop the music and close the audio context for good
+     */
+    destroy() {
+        this.stopMusic();
+        this.initialized = false;
+        if (this.context) {
+            this.context.close();
+        }
+        this.context = null;
+        this.masterGain = null;
+        this.musicGain = null;
+        this.sfxGain = null;
+    }
 }
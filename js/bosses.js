@@ -0,0 +1,318 @@
+/**
+ * Boss Encounters for Cyber Runner
+ * Scripted chases that start at distance milestones. The boss hounds the player,
+ * telegraphs strikes on the rooftops ahead and gives up once outrun for long enough.
+ */
+
+const Bosses = {
+    firstAt: 6000,    // Distance of the first encounter
+    interval: 14000,  // Distance between encounter starts
+    order: ['drone', 'mech'],
+    minRoofLeft: 150, // Roof a blast must leave standing
+
+    /**
+     * Boss types
+     * length      - px the boss has to be outrun for
+     * strikeEvery - [min, max] px run between strikes
+     * telegraph   - px run between a target being marked and the strike landing
+     * attack decides what a strike does:
+     *   blast - blows away the front of a roof, widening the gap before it
+     *           (never past what the jump into it was checked for)
+     *   shell - lobs a shell that leaves burning wreckage on the roof
+     * generation - building generation while the boss is active:
+     *   gapScale, widthScale and obstacleScale multiply the usual values,
+     *   roofs are plain static ones (no chunks, moving platforms, glass or variants)
+     * reward - score bonus and power-up for surviving
+     */
+    types: {
+        drone: {
+            name: 'Hunter Drone',
+            color: '#ff3355',
+            length: 3500,
+            attack: 'blast',
+            strikeEvery: [300, 600],
+            telegraph: 320,
+            blastWidth: [60, 140],
+            generation: { gapScale: 0.55, widthScale: 1.4, obstacleScale: 0.5 },
+            reward: { score: 500, powerUp: 'shield' }
+        },
+        mech: {
+            name: 'Rooftop Mech',
+            color: '#ff8800',
+            length: 4000,
+            attack: 'shell',
+            strikeEvery: [250, 500],
+            telegraph: 360,
+            generation: { gapScale: 0.8, widthScale: 1.3, obstacleScale: 0.3 },
+            reward: { score: 750, powerUp: 'doubleJump' }
+        }
+    },
+
+    /**
+     * Distance the nth encounter starts at
+     */
+    getStart(index) {
+        return this.firstAt + index * this.interval;
+    },
+
+    /**
+     * Boss type of the nth encounter
+     */
+    getType(index) {
+        return this.order[index % this.order.length];
+    },
+
+    /**
+     * Encounter covering a distance ({ index, type, start, end }), or null
+     */
+    getEncounterAt(distance) {
+        if (distance < this.firstAt) return null;
+        
+        const index = Math.floor((distance - this.firstAt) / this.interval);
+        const type = this.getType(index);
+        const start = this.getStart(index);
+        const end = start + this.types[type].length;
+        return distance < end ? { index, type, start, end } : null;
+    }
+};
+
+/**
+ * The boss currently chasing the player
+ * Encounters are laid out by distance, so generation can prepare for one before it starts.
+ * Strikes are drawn from the run seed.
+ */
+class BossSystem {
+    constructor() {
+        this.rng = Math.random;
+        this.nextIndex = 0;   // Next encounter to start
+        this.active = null;   // { index, type, start, end, x, y, leaving, ... }
+        this.strike = null;   // Telegraphed strike { building, offset, width, fromX, fromY, launchAt, landAt }
+        this.nextStrikeAt = 0;
+        this.time = 0;        // Animation clock
+    }
+
+    /**
+     * Seed the strike stream and forget any encounter in progress
+     */
+    setSeed(seed) {
+        this.rng = Utils.createSeededRandom(seed >>> 0);
+        this.nextIndex = 0;
+        this.active = null;
+        this.strike = null;
+        this.time = 0;
+    }
+
+    /**
+     * Generation adjustments for a distance (see Bosses.types generation), or null
+     */
+    getGenerationAt(distance) {
+        const encounter = Bosses.getEncounterAt(distance);
+        return encounter ? Bosses.types[encounter.type].generation : null;
+    }
+
+    /**
+     * Fraction of the current encounter survived (0-1)
+     */
+    getProgress(distance) {
+        if (!this.active) return 0;
+        return Utils.clamp((distance - this.active.start) / (this.active.end - this.active.start), 0, 1);
+    }
+
+    /**
+     * Whether a boss is chasing (not just flying off)
+     */
+    isChasing() {
+        return !!this.active && !this.active.leaving;
+    }
+
+    /**
+     * Start, run and end encounters
+     * Events go to world.pendingEffects: bossStart, bossStrike, bossSurvived
+     */
+    update(deltaTime, world) {
+        const distance = world.distanceTraveled;
+        this.time += deltaTime;
+        
+        if (!this.active && distance >= Bosses.getStart(this.nextIndex)) {
+            this.begin(world);
+        }
+        if (!this.active) return;
+        
+        const def = Bosses.types[this.active.type];
+        
+        if (!this.active.leaving) {
+            if (distance >= this.active.end) {
+                // Outrun - call off any strike still in the air
+                this.active.leaving = true;
+                this.strike = null;
+                world.pendingEffects.push({ type: 'bossSurvived', boss: this.active.type, x: this.active.x, y: this.active.y });
+            } else {
+                this.updateStrike(world, def, distance);
+            }
+        }
+        
+        this.move(deltaTime, world);
+        
+        // Gone once off the left of the screen
+        if (this.active.leaving && this.active.x < -120) {
+            this.active = null;
+        }
+    }
+
+    /**
+     * Start the next encounter
+     */
+    begin(world) {
+        const index = this.nextIndex++;
+        const type = Bosses.getType(index);
+        const start = Bosses.getStart(index);
+        
+        this.active = {
+            index: index,
+            type: type,
+            start: start,
+            end: start + Bosses.types[type].length,
+            x: -100,
+            y: type === 'drone' ? 80 : world.groundY,
+            velocityY: 0,
+            leaving: false
+        };
+        this.strike = null;
+        this.nextStrikeAt = world.distanceTraveled + Bosses.types[type].strikeEvery[1];
+        world.pendingEffects.push({ type: 'bossStart', boss: type, x: 0, y: 0 });
+    }
+
+    /**
+     * Mark a target when a strike is due and land it once telegraphed
+     */
+    updateStrike(world, def, distance) {
+        if (this.strike) {
+            if (distance >= this.strike.landAt) {
+                this.land(world, def);
+                this.strike = null;
+            }
+            return;
+        }
+        
+        if (distance < this.nextStrikeAt) return;
+        
+        const target = this.pickTarget(world, def);
+        if (!target) return; // Nothing suitable in view, try again next frame
+        
+        this.strike = {
+            building: target.building,
+            offset: target.offset,
+            width: target.width,
+            fromX: this.active.x + 30, // Muzzle, where the mech's shell is fired from
+            fromY: this.active.y - 40,
+            launchAt: distance,
+            landAt: distance + def.telegraph
+        };
+        this.nextStrikeAt = distance + def.telegraph +
+            Utils.random(def.strikeEvery[0], def.strikeEvery[1], this.rng);
+    }
+
+    /**
+     * Find a roof in view the strike can hit without the player being on it when it lands
+     * Returns { building, offset, width } (offset/width of the marked stretch of roof) or null
+     */
+    pickTarget(world, def) {
+        const minX = world.playerX + def.telegraph + 120;
+        const maxX = world.canvasWidth - 40;
+        
+        for (const building of world.buildings) {
+            if (def.attack === 'blast') {
+                // The front edge goes, so it has to be in view
+                if (building.x < minX || building.x > maxX) continue;
+                const room = world.getBlastRoom(building);
+                if (room < def.blastWidth[0]) continue;
+                return {
+                    building: building,
+                    offset: 0,
+                    width: Math.min(room, Utils.random(def.blastWidth[0], def.blastWidth[1], this.rng))
+                };
+            }
+            
+            const offset = world.findObstacleSpot(building, 'wreck', this.rng, minX, maxX);
+            if (offset !== null) {
+                return { building: building, offset: offset, width: Obstacles.types.wreck.width };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The strike lands
+     */
+    land(world, def) {
+        const { building, offset, width } = this.strike;
+        if (!building.active) return;
+        
+        if (def.attack === 'blast') {
+            // The layout may have moved on since the target was marked
+            const room = Math.min(width, world.getBlastRoom(building));
+            if (room > 0) world.blastRoof(building, room);
+        } else {
+            world.addObstacle(building, 'wreck', offset);
+        }
+        world.pendingEffects.push({ type: 'bossStrike', boss: this.active.type, x: building.x + offset + width / 2, y: building.y });
+    }
+
+    /**
+     * Where a strike lands on screen ({ x, y, width }), or null
+     */
+    getStrikeTarget() {
+        if (!this.strike) return null;
+        const { building, offset, width } = this.strike;
+        return { x: building.x + offset, y: building.y, width: width };
+    }
+
+    /**
+     * How far along the telegraph the current strike is (0-1)
+     */
+    getStrikeProgress(distance) {
+        if (!this.strike) return 0;
+        return Utils.clamp((distance - this.strike.launchAt) / (this.strike.landAt - this.strike.launchAt), 0, 1);
+    }
+
+    /**
+     * Move the boss body
+     * The drone hangs behind the player and darts over its target, the mech
+     * stomps along the roofs behind. Both drop back once outrun.
+     */
+    move(deltaTime, world) {
+        const boss = this.active;
+        const step = deltaTime / 16.67;
+        const target = this.getStrikeTarget();
+        let goalX = world.playerX - 80;
+        
+        if (boss.leaving) {
+            goalX = -200;
+        } else if (boss.type === 'drone' && target) {
+            goalX = target.x + target.width / 2 - 30;
+        }
+        boss.x += (goalX - boss.x) * Math.min(1, 0.04 * step);
+        
+        if (boss.type === 'drone') {
+            const goalY = (target && !boss.leaving ? 60 : 90) + Math.sin(this.time / 400) * 12;
+            boss.y += (goalY - boss.y) * Math.min(1, 0.05 * step);
+            return;
+        }
+        
+        // Mech: gravity, standing on whatever roof is under it, hopping gaps
+        const roofY = world.getRooftopY(boss.x + 20, 1);
+        boss.velocityY += physics.gravity * step;
+        boss.y += boss.velocityY * step;
+        if (boss.y >= roofY && boss.y - boss.velocityY * step <= roofY + 4) {
+            boss.y = roofY;
+            boss.velocityY = 0;
+            
+            // Leap before running out of roof
+            if (world.isOverGap(boss.x + 70, 1)) boss.velocityY = -11;
+        } else if (boss.y > world.canvasHeight) {
+            // Fell behind into a gap - climb back up out of view
+            boss.y = world.groundY;
+            boss.velocityY = -14;
+        }
+    }
+}
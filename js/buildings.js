@@ -0,0 +1,71 @@
+/**
+ * Building Variants for Cyber Runner
+ * Rooftops with behaviour - spawn weights scale with World.difficulty
+ */
+
+const BuildingVariants = {
+    /**
+     * Variant types
+     * weight is the base spawn weight, weightPerDifficulty is added for
+     * every point of difficulty above minDifficulty
+     */
+    types: {
+        static: {
+            minDifficulty: 1,
+            weight: 10,
+            weightPerDifficulty: 0
+        },
+        // Starts sinking a moment after the player lands
+        collapsing: {
+            minDifficulty: 1.3,
+            weight: 1,
+            weightPerDifficulty: 2,
+            triggerDelay: 350,   // ms between landing and the collapse
+            sinkAcceleration: 0.00015, // px/ms²
+            maxTakeoffSink: 60   // Generator keeps the roof short enough to leave before it sinks further
+        },
+        // Far edge crumbles away once the player is on the roof
+        crumbling: {
+            minDifficulty: 1.2,
+            weight: 1,
+            weightPerDifficulty: 2,
+            crumbleRate: 0.12,   // px/ms
+            minWidthRatio: 0.55  // Never crumbles below this fraction of the roof
+        },
+        // Billboard drops onto the rooftop ahead as the player approaches
+        debris: {
+            minDifficulty: 1.5,
+            weight: 1,
+            weightPerDifficulty: 1.5,
+            triggerTime: 40      // Frames of warning before the player reaches the drop point
+        }
+    },
+
+    /**
+     * Current spawn weight for a variant
+     */
+    getWeight(type, difficulty) {
+        const def = this.types[type];
+        if (difficulty < def.minDifficulty) return 0;
+        return def.weight + (difficulty - def.minDifficulty) * def.weightPerDifficulty;
+    },
+
+    /**
+     * Pick a building variant for the current difficulty (weighted)
+     * multipliers scales individual weights, e.g. per district
+     */
+    pickType(difficulty, rng = Math.random, multipliers = {}) {
+        const types = Object.keys(this.types);
+        const weights = types.map(type =>
+            this.getWeight(type, difficulty) * (multipliers[type] !== undefined ? multipliers[type] : 1)
+        );
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        
+        let roll = rng() * totalWeight;
+        for (let i = 0; i < types.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return types[i];
+        }
+        return 'static';
+    }
+};
@@ -0,0 +1,185 @@
+/**
+ * Level Chunks for Cyber Runner
+ * Hand-authored set-pieces, written as JSON, that World splices into the procedural stream
+ *
+ * Chunk format (all positions in px, relative to the chunk start):
+ * {
+ *   "id": "stairway",              // Unique name
+ *   "minDifficulty": 1,            // Only used between these difficulties
+ *   "maxDifficulty": 2.5,          // (optional, defaults 1 / no limit)
+ *   "weight": 1,                   // Relative pick chance (optional)
+ *   "buildings": [                 // In order, must not overlap
+ *     { "x": 120, "width": 300, "height": 40, "variant": "crumbling", "glass": false }
+ *   ],
+ *   "obstacles": [ { "type": "crate", "x": 260 } ],
+ *   "pickups": [
+ *     { "type": "shard", "x": 80, "height": 70 },
+ *     { "type": "powerup", "x": 400, "height": 110, "powerUp": "shield" }
+ *   ]
+ * }
+ *
+ * x is measured from the end of the roof before the chunk, so the first building's x is
+ * the gap leading into it. height is measured upwards from that roof.
+ * Obstacles sit on the roof below them, pickups float at their height.
+ */
+
+const LevelChunks = {
+    /**
+     * Chunks every World starts with (see levels/chunks.js)
+     */
+    library: [],
+
+    /**
+     * Validate chunks and add them to the shared library
+     */
+    register(data) {
+        const chunks = this.parse(data);
+        this.library.push(...chunks);
+        return chunks;
+    },
+
+    /**
+     * Fetch a JSON chunk file (needs the game to be served over http)
+     * Resolves with the valid chunks it contained
+     */
+    load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(text => this.parse(text))
+            .catch(e => {
+                console.warn(`Could not load level chunks from ${url}:`, e);
+                return [];
+            });
+    },
+
+    /**
+     * Turn JSON text, a single chunk, an array of chunks or { chunks: [...] }
+     * into a list of normalized chunks. Invalid chunks are skipped with a warning.
+     */
+    parse(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                console.warn('Invalid level chunk JSON:', e);
+                return [];
+            }
+        }
+        if (data && Array.isArray(data.chunks)) data = data.chunks;
+        if (!Array.isArray(data)) data = [data];
+        
+        const chunks = [];
+        for (const raw of data) {
+            const chunk = this.normalize(raw);
+            const problems = this.validate(chunk);
+            if (problems.length > 0) {
+                console.warn(`Skipping level chunk "${chunk.id}":`, problems.join('; '));
+                continue;
+            }
+            chunks.push(chunk);
+        }
+        return chunks;
+    },
+
+    /**
+     * Fill in defaults, leaving the authored data untouched
+     */
+    normalize(raw) {
+        const chunk = raw || {};
+        return {
+            id: String(chunk.id || 'unnamed'),
+            minDifficulty: chunk.minDifficulty !== undefined ? chunk.minDifficulty : 1,
+            maxDifficulty: chunk.maxDifficulty !== undefined ? chunk.maxDifficulty : Infinity,
+            weight: chunk.weight !== undefined ? chunk.weight : 1,
+            buildings: (chunk.buildings || []).map(b => ({
+                x: b.x,
+                width: b.width,
+                height: b.height || 0,
+                variant: b.variant || 'static',
+                glass: !!b.glass
+            })),
+            obstacles: (chunk.obstacles || []).map(o => ({ type: o.type, x: o.x })),
+            pickups: (chunk.pickups || []).map(p => ({
+                type: p.type,
+                x: p.x,
+                height: p.height || 0,
+                powerUp: p.powerUp || null
+            }))
+        };
+    },
+
+    /**
+     * Check a normalized chunk, returning a list of problems (empty when valid)
+     */
+    validate(chunk) {
+        const problems = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        
+        if (!(chunk.minDifficulty <= chunk.maxDifficulty)) problems.push('minDifficulty is above maxDifficulty');
+        if (!(chunk.weight > 0)) problems.push('weight must be positive');
+        if (chunk.buildings.length === 0) problems.push('needs at least one building');
+        
+        let end = 0;
+        chunk.buildings.forEach((b, i) => {
+            if (!isNumber(b.x) || !isNumber(b.width) || !isNumber(b.height)) {
+                problems.push(`building ${i} needs numeric x, width and height`);
+                return;
+            }
+            if (b.width <= 0) problems.push(`building ${i} has no width`);
+            if (b.x < end) problems.push(`building ${i} overlaps the one before`);
+            if (!BuildingVariants.types[b.variant]) problems.push(`building ${i} has unknown variant "${b.variant}"`);
+            if (b.glass && b.variant !== 'static') problems.push(`building ${i} is glass but not static`);
+            end = b.x + b.width;
+        });
+        
+        chunk.obstacles.forEach((o, i) => {
+            const def = Obstacles.types[o.type];
+            if (!def) {
+                problems.push(`obstacle ${i} has unknown type "${o.type}"`);
+                return;
+            }
+            const building = this.getBuildingIndex(chunk, o.x, def.width);
+            if (building === -1) {
+                problems.push(`obstacle ${i} is not on a roof`);
+            } else if (def.hangHeight && chunk.buildings[building].variant !== 'debris') {
+                problems.push(`obstacle ${i} (${o.type}) can only hang on a debris building`);
+            }
+        });
+        
+        chunk.pickups.forEach((p, i) => {
+            if (!Pickups.types[p.type]) problems.push(`pickup ${i} has unknown type "${p.type}"`);
+            if (!isNumber(p.x) || !isNumber(p.height)) problems.push(`pickup ${i} needs numeric x and height`);
+            if (p.powerUp && !PowerUps.types[p.powerUp]) problems.push(`pickup ${i} has unknown power-up "${p.powerUp}"`);
+        });
+        
+        return problems;
+    },
+
+    /**
+     * Index of the chunk building whose roof holds [x, x + width], or -1
+     */
+    getBuildingIndex(chunk, x, width = 0) {
+        return chunk.buildings.findIndex(b => x >= b.x && x + width <= b.x + b.width);
+    },
+
+    /**
+     * Pick a chunk allowed at the current difficulty (weighted), or null
+     */
+    pick(chunks, difficulty, rng = Math.random) {
+        const allowed = chunks.filter(
+            chunk => difficulty >= chunk.minDifficulty && difficulty <= chunk.maxDifficulty
+        );
+        const totalWeight = allowed.reduce((sum, chunk) => sum + chunk.weight, 0);
+        if (totalWeight <= 0) return null;
+        
+        let roll = rng() * totalWeight;
+        for (const chunk of allowed) {
+            roll -= chunk.weight;
+            if (roll < 0) return chunk;
+        }
+        return allowed[allowed.length - 1];
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * Death Causes for Cyber Runner
+ * How a run can end, with the sound and death sequence each one plays
+ */
+
+const DeathCauses = {
+    /**
+     * Causes
+     * name      - shown on the game over screen ("Died by: ...")
+     * sound     - AudioSystem sound played on death
+     * animation - death sequence drawn by Renderer.renderDeathEffect:
+     *   splat  - flattened against a wall, sliding down it
+     *   tumble - clipped on a roof edge and sent spinning down
+     *   abyss  - swallowed by the dark below the rooftops
+     *   burst  - blown apart in the skin's colors
+     * duration  - ms the sequence plays before the game over screen
+     */
+    causes: {
+        wall: {
+            name: 'Wall splat',
+            sound: 'splat',
+            animation: 'splat',
+            duration: 700
+        },
+        ledge: {
+            name: 'Clipped ledge',
+            sound: 'clip',
+            animation: 'tumble',
+            duration: 800
+        },
+        fall: {
+            name: 'The abyss',
+            sound: 'fall',
+            animation: 'abyss',
+            duration: 900
+        },
+        obstacle: {
+            name: 'Rooftop obstacle',
+            sound: 'death',
+            animation: 'burst',
+            duration: 500
+        },
+        crushed: {
+            name: 'Falling billboard',
+            sound: 'blast',
+            animation: 'burst',
+            duration: 600
+        }
+    },
+
+    /**
+     * Look up a cause by id, falling back to an obstacle hit
+     */
+    get(id) {
+        return this.causes[id] || this.causes.obstacle;
+    },
+
+    /**
+     * Game over text for a death, e.g. "Wall splat"
+     */
+    describe(death) {
+        return death ? this.get(death.cause).name : '-';
+    }
+};
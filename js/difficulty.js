@@ -0,0 +1,115 @@
+/**
+ * Difficulty Profiles for Cyber Runner
+ * Named profiles with curves over distance for speed, gaps, roof widths and heights
+ */
+
+const DifficultyProfiles = {
+    defaultProfile: 'normal',
+
+    /**
+     * Profiles, in menu order
+     * Curves are lists of [distance, value] keyframes, linear in between and
+     * held at the last value. difficulty drives obstacles, variants, platforms and chunks.
+     * physics overrides the jump and gravity values for the whole run.
+     */
+    profiles: {
+        easy: {
+            name: 'Easy',
+            color: '#00ff88',
+            physics: { gravity: 0.55, jumpPower: -12, jumpHoldPower: -0.3, maxJumpHoldTime: 180 },
+            curves: {
+                speed: [[0, 5], [30000, 11]],
+                difficulty: [[0, 1], [60000, 11]],
+                gapMin: [[0, 70], [6000, 120]],
+                gapMax: [[0, 160], [6000, 280]],
+                widthMin: [[0, 240], [12000, 160]],
+                widthMax: [[0, 520], [20000, 400]],
+                heightVariation: [[0, 50], [10000, 70]]
+            }
+        },
+        normal: {
+            name: 'Normal',
+            color: '#00ffff',
+            physics: { gravity: 0.6, jumpPower: -12, jumpHoldPower: -0.3, maxJumpHoldTime: 150 },
+            curves: {
+                speed: [[0, 6], [26667, 14]],
+                difficulty: [[0, 1], [60000, 21]],
+                gapMin: [[0, 80], [3000, 160]],
+                gapMax: [[0, 200], [3000, 400]],
+                widthMin: [[0, 180], [9000, 120]],
+                widthMax: [[0, 480], [19500, 350]],
+                heightVariation: [[0, 80]]
+            }
+        },
+        hard: {
+            name: 'Hard',
+            color: '#ff00ff',
+            physics: { gravity: 0.6, jumpPower: -12, jumpHoldPower: -0.3, maxJumpHoldTime: 150 },
+            curves: {
+                speed: [[0, 7], [20000, 15]],
+                difficulty: [[0, 1.3], [40000, 21]],
+                gapMin: [[0, 100], [2500, 170]],
+                gapMax: [[0, 240], [2500, 420]],
+                widthMin: [[0, 160], [6000, 110]],
+                widthMax: [[0, 420], [15000, 300]],
+                heightVariation: [[0, 90], [10000, 110]]
+            }
+        },
+        insane: {
+            name: 'Insane',
+            color: '#ff3333',
+            physics: { gravity: 0.65, jumpPower: -12.5, jumpHoldPower: -0.3, maxJumpHoldTime: 140 },
+            curves: {
+                speed: [[0, 9], [12000, 17]],
+                difficulty: [[0, 2], [30000, 22]],
+                gapMin: [[0, 140], [2000, 190]],
+                gapMax: [[0, 320], [2000, 460]],
+                widthMin: [[0, 130], [4000, 100]],
+                widthMax: [[0, 340], [10000, 260]],
+                heightVariation: [[0, 100], [8000, 120]]
+            }
+        }
+    },
+
+    /**
+     * Look up a profile by id, falling back to the default
+     */
+    get(id) {
+        return this.profiles[id] || this.profiles[this.defaultProfile];
+    },
+
+    /**
+     * Resolve an id to one that exists
+     */
+    resolve(id) {
+        return this.profiles[id] ? id : this.defaultProfile;
+    },
+
+    /**
+     * Value of a keyframe curve at a distance
+     */
+    evaluate(curve, distance) {
+        if (distance <= curve[0][0]) return curve[0][1];
+        
+        for (let i = 1; i < curve.length; i++) {
+            const [x1, y1] = curve[i];
+            if (distance <= x1) {
+                const [x0, y0] = curve[i - 1];
+                return Utils.lerp(y0, y1, (distance - x0) / (x1 - x0));
+            }
+        }
+        return curve[curve.length - 1][1];
+    },
+
+    /**
+     * All curve values of a profile at a distance
+     */
+    getSettings(id, distance) {
+        const curves = this.get(id).curves;
+        const settings = {};
+        for (const key of Object.keys(curves)) {
+            settings[key] = this.evaluate(curves[key], distance);
+        }
+        return settings;
+    }
+};
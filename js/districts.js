@@ -0,0 +1,156 @@
+/**
+ * City Districts for Cyber Runner
+ * The run passes through districts in order, each with its own palette,
+ * architecture and hazards. Neighbouring districts blend over a transition stretch.
+ */
+
+const Districts = {
+    order: ['neonMarket', 'industrialPort', 'corporateSpires'],
+    transition: 1500, // px at the end of a district spent blending into the next
+
+    /**
+     * District types
+     * Colors are hex. roofRange is the band of roof levels relative to World.groundY.
+     * hazards multiply the normal spawn weights/chances - 0 means it never spawns here.
+     */
+    types: {
+        neonMarket: {
+            name: 'Neon Market',
+            length: 8000,
+            sky: ['#05050f', '#0a0a1a', '#0f0a20', '#1a0a2e'],
+            skyline: ['#2a2a4e', '#151525'],
+            skylineWindows: ['#00ffff', '#ff00ff'],
+            skylineHeight: [100, 300],
+            building: ['#1a1a2e', '#12121f', '#0a0a12'],
+            edge: '#00ffff',
+            windows: ['#00ffff', '#ff00ff', '#ffff00'],
+            widthScale: 1,
+            heightScale: 1,
+            roofRange: [-100, 60],
+            hazards: {
+                obstacles: { crate: 1.5, acUnit: 1, barrier: 0.5, pipe: 1 },
+                variants: { static: 1, collapsing: 1, crumbling: 1, debris: 1 },
+                platforms: 1,
+                glass: 1
+            }
+        },
+        // Long low warehouses, crane hooks and stacked cargo
+        industrialPort: {
+            name: 'Industrial Port',
+            length: 7000,
+            sky: ['#0a0604', '#1a0e08', '#2a1408', '#3a1c0c'],
+            skyline: ['#3a2a22', '#1a120e'],
+            skylineWindows: ['#ff8800', '#ffcc66'],
+            skylineHeight: [60, 200],
+            building: ['#2a2018', '#1c1610', '#0e0b08'],
+            edge: '#ff3355',
+            windows: ['#ff8800', '#ffcc66', '#ff5500'],
+            widthScale: 1.3,
+            heightScale: 0.6,
+            roofRange: [-40, 60],
+            hazards: {
+                obstacles: { crate: 3, acUnit: 1, barrier: 1, pipe: 2.5 },
+                variants: { static: 1, collapsing: 0.5, crumbling: 1.5, debris: 0.3 },
+                platforms: 2,
+                glass: 0.2
+            }
+        },
+        // Narrow glass towers with big height changes
+        corporateSpires: {
+            name: 'Corporate Spires',
+            length: 7000,
+            sky: ['#02040c', '#061024', '#0a1a3a', '#12284a'],
+            skyline: ['#2a3a5e', '#10182a'],
+            skylineWindows: ['#aaddff', '#ffffff'],
+            skylineHeight: [180, 420],
+            building: ['#1a2438', '#101828', '#080c14'],
+            edge: '#4488ff',
+            windows: ['#aaddff', '#ffffff', '#4488ff'],
+            widthScale: 0.8,
+            heightScale: 1.3,
+            roofRange: [-100, 20],
+            hazards: {
+                obstacles: { crate: 0.3, acUnit: 2, barrier: 2, pipe: 0.5 },
+                variants: { static: 1, collapsing: 0.5, crumbling: 0.5, debris: 2 },
+                platforms: 0.5,
+                glass: 2.5
+            }
+        }
+    },
+
+    /**
+     * Which districts apply at a distance: { from, to, t }
+     * t blends from 0 (all "from") to 1 (all "to") over the transition stretch
+     */
+    getBlend(distance) {
+        const cycle = this.order.reduce((sum, id) => sum + this.types[id].length, 0);
+        let offset = distance % cycle;
+        
+        for (let i = 0; i < this.order.length; i++) {
+            const from = this.order[i];
+            const length = this.types[from].length;
+            if (offset < length) {
+                const to = this.order[(i + 1) % this.order.length];
+                const t = Utils.clamp((offset - (length - this.transition)) / this.transition, 0, 1);
+                return { from: from, to: t > 0 ? to : from, t: t };
+            }
+            offset -= length;
+        }
+        return { from: this.order[0], to: this.order[0], t: 0 };
+    },
+
+    /**
+     * The district a blend mostly looks like
+     */
+    getDominant(blend) {
+        return blend.t < 0.5 ? blend.from : blend.to;
+    },
+
+    /**
+     * Blend a numeric property, or a path into hazards ('hazards.platforms')
+     */
+    mix(blend, key) {
+        const a = this.lookup(blend.from, key);
+        const b = this.lookup(blend.to, key);
+        if (Array.isArray(a)) return a.map((value, i) => Utils.lerp(value, b[i], blend.t));
+        return Utils.lerp(a, b, blend.t);
+    },
+
+    /**
+     * Blend a map of weights ('hazards.obstacles')
+     */
+    mixWeights(blend, key) {
+        const a = this.lookup(blend.from, key);
+        const b = this.lookup(blend.to, key);
+        const weights = {};
+        for (const type of Object.keys(a)) {
+            weights[type] = Utils.lerp(a[type], b[type] !== undefined ? b[type] : 1, blend.t);
+        }
+        return weights;
+    },
+
+    /**
+     * Blend a color or a list of colors
+     */
+    mixColor(blend, key) {
+        const a = this.types[blend.from][key];
+        const b = this.types[blend.to][key];
+        if (Array.isArray(a)) return a.map((color, i) => Utils.lerpColor(color, b[i], blend.t));
+        return Utils.lerpColor(a, b, blend.t);
+    },
+
+    /**
+     * Pick a palette entry for one window - mixed districts get a mix of windows
+     */
+    pickColor(blend, key, rng = Math.random) {
+        const id = rng() < blend.t ? blend.to : blend.from;
+        return Utils.randomChoice(this.types[id][key], rng);
+    },
+
+    /**
+     * Read a property of a district type by dotted path
+     */
+    lookup(id, key) {
+        return key.split('.').reduce((value, part) => value[part], this.types[id]);
+    }
+};
@@ -1,52 +1,193 @@
 /**
  * Main Game Class for Cyber Runner
  * Manages game state, loop, and coordination between systems
+ *
+ * Events for the embedding page - subscribe with game.on(name, callback), which
+ * returns a function to unsubscribe (or use game.off). Only live runs emit them,
+ * not replays. Payloads:
+ *   start     - { seed, profile, skin, ghost }          a run began (ghost: racing one)
+ *   pause     - { reason, score }                       reason: 'key', 'button' or 'hidden' (tab hidden)
+ *   resume    - { score }                               the countdown ran out, the run is live again
+ *   jump      - { cause, score }                        cause: 'jump', 'airJump' (double jump) or 'bounce' (shield)
+ *   land      - { fallHeight, hard, rolled, score }     fallHeight in px from the top of the jump
+ *   pickup    - { type, powerUp, shards, score }        type: 'shard' or 'powerup' (powerUp names it)
+ *   milestone - { milestone, score, distance }          the score passed a multiple of milestoneInterval
+ *   death     - { cause, score, shards, distance, building, obstacle }  cause is a DeathCauses id
+ *   highscore - { score, previous, profile }            a new best for the difficulty profile
  */
 
 class Game {
-    constructor(canvasId) {
-        // Canvas setup
-        this.canvas = document.getElementById(canvasId);
+    /**
+     * @param {string|HTMLCanvasElement} canvas - the canvas element, or its id
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - fixed course seed (overrides the ?seed= URL parameter)
+     * @param {number} [options.fairnessMargin] - fraction of the longest possible jump a gap may use (0.5-1)
+     * @param {Array|string} [options.chunks] - extra level chunks (objects or JSON text, see chunks.js)
+     * @param {string} [options.profile] - difficulty profile id (see difficulty.js), defaults to the last one picked
+     * @param {string} [options.skin] - character skin id (see skins.js), defaults to the last one picked
+     * @param {number} [options.coyoteTime] - ms after leaving a ledge a jump still works
+     * @param {number} [options.jumpBufferTime] - ms before landing a jump press is remembered
+     * @param {boolean} [options.ghost] - race the ghost of the best run on the seed (default true)
+     * @param {Object} [options.elements] - menu/HUD elements keyed by their index.html id, each an element or another id
+     * @param {number} [options.width] - width the game is drawn at, scaled to fit the container (default 800)
+     * @param {number} [options.height] - height the game is drawn at (default 600)
+     * @param {string} [options.storageNamespace] - prefix of the localStorage keys (default 'cyberRunner')
+     * @param {string} [options.state] - 'menu' (default), or 'playing' to start a run straight away
+     * @param {boolean} [options.audio] - start with sound on (default true)
+     * @param {EventTarget} [options.keyTarget] - where keyboard input is listened for (default document)
+     */
+    constructor(canvas, options = {}) {
+        // Menu/HUD elements handed over by the embedding page (the rest are found by id)
+        this.elements = options.elements || {};
+        
+        // Canvas setup - drawn at a fixed resolution, scaled to fit its container
+        this.canvas = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
+        this.width = options.width || 800;
+        this.height = options.height || 600;
         this.resizeCanvas();
         
+        // High scores, replays, ghosts and menu picks, under this game's localStorage keys
+        this.storage = new GameStorage(options.storageNamespace);
+        
         // Game state
-        this.state = 'menu'; // menu, playing, gameover
+        this.state = 'menu'; // menu, playing, gameover, replay
         this.score = 0;
-        this.highScore = Utils.getHighScore();
+        this.shards = 0;
+        
+        // Difficulty profile - high scores are kept per profile
+        this.profile = DifficultyProfiles.resolve(options.profile || this.storage.getSavedProfile());
+        this.highScore = this.storage.getHighScore(this.profile);
+        this.lastEffectsHtml = '';
+        
+        // Banner announcing districts and bosses, shown for a while
+        this.districtName = null;
+        this.districtBannerTimer = 0;
+        this.districtBannerDuration = 2500;
+        
+        // Pause menu, and the 3-2-1 countdown back into the run after resuming
         this.paused = false;
+        this.countdownFrom = 3;
+        this.countdownInterval = 700; // ms per number
+        this.countdownTimer = 0;
+        
+        // Run seed - a fixed seed replays the same course every run,
+        // otherwise a fresh seed is rolled for each run
+        this.fixedSeed = Utils.parseSeed(
+            options.seed !== undefined ? options.seed : Utils.getUrlParam('seed')
+        );
+        this.seed = this.fixedSeed !== null ? this.fixedSeed : Utils.generateSeed();
         
-        // Timing
+        // Timing - the simulation advances in fixed physics.timeStep ticks, whatever the
+        // display rate; leftover frame time waits in the accumulator for the next frame
         this.lastTime = 0;
         this.deltaTime = 0;
+        this.accumulator = 0;
+        this.maxFrameTime = 250; // Longer frames (tab was hidden, debugger) count as one tick
+        this.tick = 0;           // Ticks run so far this run
         
-        // Death animation
+        // Replays (see js/replays.js) - the run being recorded, the last finished one,
+        // and the one being watched with the settings to go back to afterwards
+        this.recording = null;
+        this.lastReplay = this.storage.getReplays().last;
+        this.replay = null;
+        this.replayReturn = null;
+        
+        // Ghost runner (see js/ghosts.js) - the one being raced, the run being recorded
+        // as a ghost, and one imported from a file to race on its seed and profile,
+        // with the player's own profile to go back to afterwards
+        this.ghostsEnabled = options.ghost !== undefined ? !!options.ghost : true;
+        this.ghost = null;
+        this.ghostRecording = null;
+        this.importedGhost = null;
+        this.ghostReturn = null;
+        
+        // Speed lost when crashing through a window
+        this.glassSpeedPenalty = 0.2;
+        
+        // Speed lost landing a big drop without rolling (the player stumbles)
+        this.hardLandingPenalty = 0.25;
+        
+        // Score for rolling out of a big drop
+        this.rollBonus = 50;
+        
+        // Death animation (the duration depends on the cause, see js/deaths.js)
         this.deathAnimationProgress = 0;
         this.deathAnimationDuration = 500;
         
+        // How the run ended ({ cause, distance, building, obstacle }) and the last roof stood on
+        this.death = null;
+        this.lastRoof = null;
+        
+        // Events for the embedding page, and the score interval between milestone events
+        this.events = new EventEmitter();
+        this.milestoneInterval = 1000;
+        this.nextMilestone = this.milestoneInterval;
+        
         // Initialize systems
         this.assets = new Assets();
         this.audio = new AudioSystem();
         this.renderer = new Renderer(this.canvas);
         this.world = new World(this.canvas.width, this.canvas.height);
+        this.world.setProfile(this.profile);
+        if (options.fairnessMargin !== undefined) {
+            this.world.fairnessMargin = Utils.clamp(options.fairnessMargin, 0.5, 1);
+        }
+        if (options.chunks) {
+            this.world.loadChunks(options.chunks);
+        }
         this.player = new Player(100, this.world.groundY - 48);
+        this.player.skin = Skins.resolve(options.skin || this.storage.getSavedSkin());
+        if (options.coyoteTime !== undefined) {
+            this.player.coyoteTime = Math.max(0, options.coyoteTime);
+        }
+        if (options.jumpBufferTime !== undefined) {
+            this.player.jumpBufferTime = Math.max(0, options.jumpBufferTime);
+        }
+        this.applyProfilePhysics();
+        this.particles = new ParticleSystem();
         
         // Initialize all systems
         this.renderer.init(this.assets);
-        this.world.init(this.assets);
+        this.world.init(this.assets, this.seed);
         this.player.init(this.assets);
         
+        // Sound, landing squash and scoring follow the player's state changes
+        this.audio.followPlayer(this.player);
+        this.renderer.followPlayer(this.player);
+        this.player.state.on('landing', event => this.handleLanding(event));
+        this.player.state.on('stumbling', () => this.emitStumbleDust());
+        this.player.state.on('jumpRise', event => {
+            this.emit('jump', { cause: event.cause, score: Math.floor(this.score) });
+        });
+        
         // Input state
         this.keys = {
             jump: false,
-            jumpPressed: false
+            jumpPressed: false,
+            slidePressed: false
         };
         
+        // Touch swipes - a swipe down slides
+        this.touchStartY = null;
+        this.touchSlid = false;
+        this.swipeDistance = 30; // px (CSS) a finger must travel down
+        
+        // DOM listeners and menu buttons added (destroy() takes them away again),
+        // the pending animation frame and the timer bringing up the game over screen
+        this.keyTarget = options.keyTarget || document;
+        this.domListeners = [];
+        this.menuButtons = [];
+        this.animationFrame = null;
+        this.gameOverTimeout = null;
+        this.destroyed = false;
+        
         // Bind methods
         this.gameLoop = this.gameLoop.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
         this.handleTouch = this.handleTouch.bind(this);
         this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
         this.handleResize = this.handleResize.bind(this);
         this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
         
@@ -58,9 +199,57 @@ class Game {
         
         // Display high score
         this.updateHighScoreDisplay();
+        if (options.audio === false) {
+            this.setMuted(true);
+        }
+        
+        // Start game loop, and a run too if asked to
+        this.animationFrame = requestAnimationFrame(this.gameLoop);
+        if (options.state === 'playing') {
+            this.startGame();
+        } else if (options.state !== undefined && options.state !== 'menu') {
+            console.warn(`Game: unknown starting state "${options.state}"`);
+        }
+    }
+
+    /**
+     * Stop the game for good - the loop, timers, music and audio context - and
+     * remove every listener and menu button it added to the page
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        cancelAnimationFrame(this.animationFrame);
+        clearTimeout(this.gameOverTimeout);
+        for (const listener of this.domListeners) {
+            listener.target.removeEventListener(listener.type, listener.handler, listener.options);
+        }
+        this.domListeners = [];
+        for (const button of this.menuButtons) {
+            button.remove();
+        }
+        this.menuButtons = [];
         
-        // Start game loop
-        requestAnimationFrame(this.gameLoop);
+        this.audio.destroy();
+        this.events.clear();
+    }
+
+    /**
+     * Find a menu/HUD element by its index.html id - one handed over in
+     * options.elements (an element, or the id to use instead) comes first
+     */
+    getElement(id) {
+        const element = this.elements[id] !== undefined ? this.elements[id] : id;
+        return typeof element === 'string' ? document.getElementById(element) : element;
+    }
+
+    /**
+     * Add a DOM event listener, remembered so destroy() can remove it
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target: target, type: type, handler: handler, options: options });
     }
 
     /**
@@ -71,7 +260,7 @@ class Game {
         const rect = container.getBoundingClientRect();
         
         // Maintain aspect ratio
-        const aspectRatio = 800 / 600;
+        const aspectRatio = this.width / this.height;
         let width = rect.width;
         let height = rect.height;
         
@@ -81,8 +270,8 @@ class Game {
             height = width / aspectRatio;
         }
         
-        this.canvas.width = 800;
-        this.canvas.height = 600;
+        this.canvas.width = this.width;
+        this.canvas.height = this.height;
         this.canvas.style.width = `${width}px`;
         this.canvas.style.height = `${height}px`;
     }
@@ -92,18 +281,19 @@ class Game {
      */
     setupEventListeners() {
         // Keyboard
-        document.addEventListener('keydown', this.handleKeyDown);
-        document.addEventListener('keyup', this.handleKeyUp);
+        this.listen(this.keyTarget, 'keydown', this.handleKeyDown);
+        this.listen(this.keyTarget, 'keyup', this.handleKeyUp);
         
         // Touch
-        this.canvas.addEventListener('touchstart', this.handleTouch, { passive: false });
-        this.canvas.addEventListener('touchend', this.handleTouchEnd, { passive: false });
-        this.canvas.addEventListener('mousedown', this.handleTouch);
-        this.canvas.addEventListener('mouseup', this.handleTouchEnd);
+        this.listen(this.canvas, 'touchstart', this.handleTouch, { passive: false });
+        this.listen(this.canvas, 'touchend', this.handleTouchEnd, { passive: false });
+        this.listen(this.canvas, 'touchmove', this.handleTouchMove, { passive: false });
+        this.listen(this.canvas, 'mousedown', this.handleTouch);
+        this.listen(this.canvas, 'mouseup', this.handleTouchEnd);
         
         // Window
-        window.addEventListener('resize', this.handleResize);
-        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.listen(window, 'resize', this.handleResize);
+        this.listen(document, 'visibilitychange', this.handleVisibilityChange);
     }
 
     /**
@@ -111,31 +301,227 @@ class Game {
      */
     setupUI() {
         // Play button
-        const playButton = document.getElementById('play-button');
+        const playButton = this.getElement('play-button');
         if (playButton) {
-            playButton.addEventListener('click', () => this.startGame());
+            this.listen(playButton, 'click', () => this.startGame());
         }
         
         // Restart button
-        const restartButton = document.getElementById('restart-button');
+        const restartButton = this.getElement('restart-button');
         if (restartButton) {
-            restartButton.addEventListener('click', () => this.startGame());
+            this.listen(restartButton, 'click', () => this.startGame());
+        }
+        
+        // Difficulty profile buttons, one per profile
+        const profileSelect = this.getElement('profile-select');
+        if (profileSelect) {
+            for (const id of Object.keys(DifficultyProfiles.profiles)) {
+                const button = document.createElement('button');
+                button.className = 'profile-button';
+                button.textContent = DifficultyProfiles.profiles[id].name;
+                button.dataset.profile = id;
+                button.style.setProperty('--profile-color', DifficultyProfiles.profiles[id].color);
+                button.addEventListener('click', () => this.setProfile(id));
+                profileSelect.appendChild(button);
+                this.menuButtons.push(button);
+            }
+            this.updateProfileDisplay();
+        }
+        
+        // Character skin buttons, each with a preview of the running sprite
+        const skinSelect = this.getElement('skin-select');
+        if (skinSelect) {
+            for (const id of Object.keys(Skins.skins)) {
+                const skin = Skins.skins[id];
+                const button = document.createElement('button');
+                button.className = 'skin-button';
+                button.dataset.skin = id;
+                button.title = skin.name;
+                button.style.setProperty('--skin-color', skin.trail);
+                
+                const frame = this.assets.generatePlayerFrames(this.player.width, this.player.height, id)[0];
+                const preview = document.createElement('canvas');
+                preview.width = frame.width;
+                preview.height = frame.height;
+                preview.getContext('2d').drawImage(frame, 0, 0);
+                button.appendChild(preview);
+                
+                const label = document.createElement('span');
+                label.textContent = skin.name;
+                button.appendChild(label);
+                
+                button.addEventListener('click', () => this.setSkin(id));
+                skinSelect.appendChild(button);
+                this.menuButtons.push(button);
+            }
+            this.updateSkinDisplay();
         }
         
         // Mute button
-        const muteButton = document.getElementById('mute-button');
+        const muteButton = this.getElement('mute-button');
         if (muteButton) {
-            muteButton.addEventListener('click', () => {
-                const muted = this.audio.toggleMute();
-                muteButton.textContent = muted ? '🔇' : '🔊';
+            this.listen(muteButton, 'click', () => this.toggleMute());
+        }
+        
+        // Pause button and the pause menu, replay menus and playback controls
+        const buttons = {
+            'pause-button': () => this.pause('button'),
+            'resume-button': () => this.resume(),
+            'pause-restart-button': () => this.startGame(),
+            'settings-button': () => this.showSettings(true),
+            'quit-button': () => this.quitToMenu(),
+            'sound-setting': () => this.toggleMute(),
+            'settings-back-button': () => this.showSettings(false),
+            'last-replay-button': () => this.playReplay(this.lastReplay),
+            'best-replay-button': () => this.playReplay(this.storage.getReplays().best[this.profile]),
+            'import-replay-button': () => this.openFilePicker('replay-file'),
+            'watch-replay-button': () => this.playReplay(this.lastReplay),
+            'export-replay-button': () => this.exportReplay(this.lastReplay),
+            'replay-play-button': () => this.toggleReplayPlayback(),
+            'replay-speed-button': () => this.cycleReplaySpeed(),
+            'replay-exit-button': () => this.exitReplay(),
+            'race-ghost-button': () => this.startGame(this.seed),
+            'export-ghost-button': () => this.exportGhost(),
+            'import-ghost-button': () => this.openFilePicker('ghost-file'),
+            'ghost-setting': () => this.toggleGhost()
+        };
+        for (const id of Object.keys(buttons)) {
+            const button = this.getElement(id);
+            if (button) {
+                this.listen(button, 'click', buttons[id]);
+            }
+        }
+        
+        // Replay file picker and scrub bar
+        const replayFile = this.getElement('replay-file');
+        if (replayFile) {
+            this.listen(replayFile, 'change', () => {
+                if (replayFile.files.length > 0) this.importReplay(replayFile.files[0]);
+                replayFile.value = '';
             });
         }
+        const ghostFile = this.getElement('ghost-file');
+        if (ghostFile) {
+            this.listen(ghostFile, 'change', () => {
+                if (ghostFile.files.length > 0) this.importGhost(ghostFile.files[0]);
+                ghostFile.value = '';
+            });
+        }
+        const replayScrub = this.getElement('replay-scrub');
+        if (replayScrub) {
+            this.listen(replayScrub, 'input', () => this.seekReplay(Number(replayScrub.value)));
+        }
+        this.updateReplayButtons();
+        this.updateGhostSetting();
+    }
+
+    /**
+     * Toggle sound
+     */
+    toggleMute() {
+        this.setMuted(!this.audio.muted);
+    }
+
+    /**
+     * Turn sound off or on, keeping the mute button and the sound setting in step
+     */
+    setMuted(muted) {
+        this.audio.setMuted(muted);
+        const muteButton = this.getElement('mute-button');
+        if (muteButton) {
+            muteButton.textContent = muted ? '🔇' : '🔊';
+        }
+        const soundSetting = this.getElement('sound-setting');
+        if (soundSetting) {
+            soundSetting.textContent = muted ? 'SOUND: OFF' : 'SOUND: ON';
+        }
+    }
+
+    /**
+     * Switch difficulty profile (between runs only)
+     */
+    setProfile(id) {
+        if (this.state === 'playing') return;
+        
+        this.useProfile(id);
+        this.storage.saveProfile(this.profile);
+    }
+
+    /**
+     * Switch difficulty profile without saving it as the player's choice
+     */
+    useProfile(id) {
+        this.profile = DifficultyProfiles.resolve(id);
+        this.world.setProfile(this.profile);
+        this.applyProfilePhysics();
+        
+        this.highScore = this.storage.getHighScore(this.profile);
+        this.updateHighScoreDisplay();
+        this.updateProfileDisplay();
+        this.updateReplayButtons();
+    }
+
+    /**
+     * Switch character skin (between runs only)
+     */
+    setSkin(id) {
+        if (this.state === 'playing') return;
+        
+        this.player.setSkin(id, this.assets);
+        this.storage.saveSkin(this.player.skin);
+        this.updateSkinDisplay();
+    }
+
+    /**
+     * Move the profile selection left or right through the list
+     */
+    cycleProfile(direction) {
+        const ids = Object.keys(DifficultyProfiles.profiles);
+        const index = ids.indexOf(this.profile);
+        this.setProfile(ids[(index + direction + ids.length) % ids.length]);
+    }
+
+    /**
+     * Apply the profile's gravity and jump values to physics and player
+     */
+    applyProfilePhysics() {
+        const values = DifficultyProfiles.get(this.profile).physics;
+        physics.gravity = values.gravity;
+        this.player.jumpPower = values.jumpPower;
+        this.player.jumpHoldPower = values.jumpHoldPower;
+        this.player.maxJumpHoldTime = values.maxJumpHoldTime;
+        
+        // Generator works out reachable gaps from these
+        this.world.setJumpProfile(this.player);
     }
 
     /**
      * Handle keyboard down
      */
     handleKeyDown(e) {
+        if (this.state === 'replay') {
+            if (e.code === 'Space') {
+                e.preventDefault();
+                this.toggleReplayPlayback();
+            } else if (e.code === 'Escape') {
+                this.exitReplay();
+            }
+            return;
+        }
+        
+        if (e.code === 'Escape' || e.code === 'KeyP') {
+            if (this.state === 'playing') {
+                e.preventDefault();
+                this.togglePause('key');
+            }
+            return;
+        }
+        
+        if (this.state === 'menu' && (e.code === 'ArrowLeft' || e.code === 'ArrowRight')) {
+            this.cycleProfile(e.code === 'ArrowLeft' ? -1 : 1);
+            return;
+        }
+        
         if (e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW') {
             e.preventDefault();
             
@@ -144,12 +530,16 @@ class Game {
             } else if (this.state === 'gameover' && this.deathAnimationProgress >= 1) {
                 // Only allow restart after death animation completes
                 this.startGame();
-            } else if (this.state === 'playing') {
-                if (!this.keys.jumpPressed) {
-                    this.keys.jumpPressed = true;
-                    this.player.jump(this.audio);
-                }
-                this.keys.jump = true;
+            } else if (this.isRunning()) {
+                this.input('jump');
+            }
+        }
+        
+        if (e.code === 'ArrowDown' || e.code === 'KeyS') {
+            e.preventDefault();
+            
+            if (this.isRunning()) {
+                this.input('slide');
             }
         }
     }
@@ -158,10 +548,14 @@ class Game {
      * Handle keyboard up
      */
     handleKeyUp(e) {
+        if (this.state === 'replay') return;
+        
         if (e.code === 'Space' || e.code === 'ArrowUp' || e.code === 'KeyW') {
-            this.keys.jump = false;
-            this.keys.jumpPressed = false;
-            this.player.releaseJump();
+            this.input('jumpRelease');
+        }
+        
+        if (e.code === 'ArrowDown' || e.code === 'KeyS') {
+            this.input('slideRelease');
         }
     }
 
@@ -171,12 +565,27 @@ class Game {
     handleTouch(e) {
         e.preventDefault();
         
-        if (this.state === 'playing') {
-            if (!this.keys.jumpPressed) {
-                this.keys.jumpPressed = true;
-                this.player.jump(this.audio);
-            }
-            this.keys.jump = true;
+        const point = e.touches ? e.touches[0] : e;
+        this.touchStartY = point ? point.clientY : null;
+        this.touchSlid = false;
+        
+        if (this.isRunning()) {
+            this.input('jump');
+        }
+    }
+
+    /**
+     * Handle touch drag - a swipe down slides (or fast-falls in the air)
+     */
+    handleTouchMove(e) {
+        e.preventDefault();
+        if (!this.isRunning() || this.touchSlid || this.touchStartY === null) return;
+        
+        const point = e.touches && e.touches[0];
+        if (point && point.clientY - this.touchStartY >= this.swipeDistance) {
+            this.touchSlid = true;
+            this.input('jumpRelease');
+            this.input('slide');
         }
     }
 
@@ -184,9 +593,69 @@ class Game {
      * Handle touch/click end
      */
     handleTouchEnd(e) {
-        this.keys.jump = false;
-        this.keys.jumpPressed = false;
-        this.player.releaseJump();
+        if (this.state === 'replay') return;
+        
+        this.input('jumpRelease');
+        
+        if (this.touchSlid) {
+            this.touchSlid = false;
+            this.input('slideRelease');
+        }
+        this.touchStartY = null;
+    }
+
+    /**
+     * Make an input (one of Replays.inputs), logging it to the run's recording
+     * Presses that change nothing (key repeat) are left out of the log
+     */
+    input(type) {
+        const pressed = type === 'jump' ? this.keys.jumpPressed : type === 'slide' ? this.keys.slidePressed : false;
+        if (pressed) return;
+        
+        if (this.recording) {
+            Replays.record(this.recording, this.tick, type);
+        }
+        this.applyInput(type);
+    }
+
+    /**
+     * Apply an input to the keys and player - live, or fed back from a replay
+     */
+    applyInput(type) {
+        switch (type) {
+            case 'jump':
+                if (!this.keys.jumpPressed) {
+                    this.keys.jumpPressed = true;
+                    this.player.jump();
+                }
+                this.keys.jump = true;
+                break;
+            case 'jumpRelease':
+                this.keys.jump = false;
+                this.keys.jumpPressed = false;
+                this.player.releaseJump();
+                break;
+            case 'slide':
+                if (!this.keys.slidePressed) {
+                    this.keys.slidePressed = true;
+                    this.player.slide(this.audio);
+                }
+                break;
+            case 'slideRelease':
+                this.keys.slidePressed = false;
+                this.player.releaseSlide();
+                break;
+        }
+    }
+
+    /**
+     * Let go of everything held, so nothing stays pressed across a pause
+     */
+    releaseInputs() {
+        this.input('jumpRelease');
+        this.input('slideRelease');
+        this.touchSlid = false;
+        this.touchStartY = null;
     }
 
     /**
@@ -204,130 +673,822 @@ class Game {
      */
     handleVisibilityChange() {
         if (document.hidden) {
-            this.paused = true;
+            this.pause('hidden');
+            if (this.replay) {
+                this.replay.playing = false;
+                this.updateReplayDisplay();
+            }
         } else {
-            this.paused = false;
             this.lastTime = performance.now();
         }
     }
 
     /**
-     * Start/restart game
+     * Whether the run is live - playing, not paused and not counting back in
+     */
+    isRunning() {
+        return this.state === 'playing' && !this.paused && this.countdownTimer <= 0;
+    }
+
+    /**
+     * Freeze the run and open the pause menu
+     * reason is passed on with the pause event: 'key', 'button' or 'hidden'
+     */
+    pause(reason = 'key') {
+        if (this.state !== 'playing' || this.paused) return;
+        
+        this.paused = true;
+        this.countdownTimer = 0;
+        this.releaseInputs();
+        this.audio.pauseMusic();
+        
+        this.showElement('countdown', false);
+        this.showSettings(false);
+        this.showElement('pause-menu', true);
+        this.emit('pause', { reason: reason, score: Math.floor(this.score) });
+    }
+
+    /**
+     * Close the pause menu and count back into the run
+     */
+    resume() {
+        if (!this.paused) return;
+        
+        this.paused = false;
+        this.showElement('pause-menu', false);
+        this.countdownTimer = this.countdownFrom * this.countdownInterval;
+        this.showCountdown(this.countdownFrom);
+    }
+
+    /**
+     * Pause, or resume if already paused
+     */
+    togglePause(reason = 'key') {
+        if (this.paused) {
+            this.resume();
+        } else {
+            this.pause(reason);
+        }
+    }
+
+    /**
+     * Run down the resume countdown, restarting the music on go
+     */
+    updateCountdown(deltaTime) {
+        const before = Math.ceil(this.countdownTimer / this.countdownInterval);
+        this.countdownTimer = Math.max(0, this.countdownTimer - deltaTime);
+        const count = Math.ceil(this.countdownTimer / this.countdownInterval);
+        if (count === before) return;
+        
+        if (count > 0) {
+            this.showCountdown(count);
+        } else {
+            this.showElement('countdown', false);
+            this.audio.play('go');
+            this.audio.resumeMusic();
+            this.emit('resume', { score: Math.floor(this.score) });
+        }
+    }
+
+    /**
+     * Show a countdown number with its beep
+     */
+    showCountdown(count) {
+        const countdown = this.getElement('countdown');
+        if (countdown) {
+            countdown.textContent = count;
+        }
+        this.showElement('countdown', true);
+        this.audio.play('countdown');
+    }
+
+    /**
+     * Swap the pause menu between its options and the settings
+     */
+    showSettings(visible) {
+        this.showElement('pause-options', !visible);
+        this.showElement('settings-panel', visible);
+    }
+
+    /**
+     * Abandon the run from the pause menu and go back to the start menu
+     */
+    quitToMenu() {
+        if (this.state !== 'playing') return;
+        
+        this.finishRecording();
+        this.ghostRecording = null;
+        this.ghost = null;
+        this.state = 'menu';
+        this.endGhostRace();
+        this.paused = false;
+        this.countdownTimer = 0;
+        this.audio.pauseMusic();
+        this.audio.setBossMusic(false);
+        
+        this.showElement('pause-menu', false);
+        this.showElement('countdown', false);
+        this.hideRunHud();
+        this.showElement('start-menu', true);
+        this.updateHighScoreDisplay();
+    }
+
+    /**
+     * Hide the HUD and banners shown during a run
+     */
+    hideRunHud() {
+        this.showElement('hud', false);
+        this.showElement('district-banner', false);
+        this.showElement('boss-hud', false);
+        this.showElement('mute-button', false);
+        this.showElement('pause-button', false);
+        this.showElement('ghost-hud', false);
+    }
+
+    /**
+     * Start/restart game, on a given seed (to race its ghost) or the usual one
      */
-    startGame() {
+    startGame(seed = null) {
         // Initialize audio on first interaction
         this.audio.init();
         this.audio.startMusic();
         
-        // Reset game state
+        // Roll a new course unless the seed is fixed, and record the run
+        // A new course ends the race against an imported ghost
+        if (seed === null) {
+            this.endGhostRace();
+            seed = this.fixedSeed !== null ? this.fixedSeed : Utils.generateSeed();
+        }
         this.state = 'playing';
-        this.score = 0;
-        this.deathAnimationProgress = 0;
+        this.resetRun(seed);
+        this.recording = Replays.create(this.seed, this.getRunSettings());
         
-        // Reset world and player
-        this.world.reset();
-        this.player.reset(100, this.world.groundY - 48);
+        // Race the best run on this seed, and record this one as a ghost
+        this.ghostRecording = Ghosts.create(this.seed, this.profile, this.player.skin);
+        this.recordGhost();
+        this.loadGhost();
         
         // Hide menus, show HUD
         this.showElement('start-menu', false);
         this.showElement('game-over', false);
+        this.showElement('pause-menu', false);
+        this.showElement('countdown', false);
         this.showElement('hud', true);
         this.showElement('mute-button', true);
+        this.showElement('pause-button', true);
         
         // Resume music if paused
         this.audio.resumeMusic();
         
+        this.emit('start', {
+            seed: this.seed,
+            profile: this.profile,
+            skin: this.player.skin,
+            ghost: !!this.ghost
+        });
+    }
+
+    /**
+     * Reset game state, world and player for a run on a seed
+     */
+    resetRun(seed) {
+        this.score = 0;
+        this.shards = 0;
+        this.deathAnimationProgress = 0;
+        this.death = null;
+        this.lastRoof = null;
+        this.districtName = null;
+        this.accumulator = 0;
+        this.tick = 0;
+        this.nextMilestone = this.milestoneInterval;
+        this.paused = false;
+        this.countdownTimer = 0;
+        this.keys.jump = false;
+        this.keys.jumpPressed = false;
+        this.keys.slidePressed = false;
+        this.audio.setBossMusic(false);
+        
+        // Reset world and player
+        this.seed = seed;
+        this.world.reset(this.seed);
+        this.particles.clear();
+        this.player.reset(100, this.world.groundY - 48);
+        
         // Update displays
         this.updateScoreDisplay();
+        this.updateShardDisplay();
+        this.updateEffectsDisplay();
+    }
+
+    /**
+     * Settings a run depends on, saved with its replay
+     */
+    getRunSettings() {
+        return {
+            profile: this.profile,
+            fairnessMargin: this.world.fairnessMargin,
+            coyoteTime: this.player.coyoteTime,
+            jumpBufferTime: this.player.jumpBufferTime,
+            skin: this.player.skin
+        };
+    }
+
+    /**
+     * Switch to a replay's settings (or back), without saving them as the player's choice
+     */
+    applyRunSettings(settings) {
+        this.profile = DifficultyProfiles.resolve(settings.profile);
+        this.world.setProfile(this.profile);
+        this.applyProfilePhysics();
+        this.world.fairnessMargin = Utils.clamp(settings.fairnessMargin, 0.5, 1);
+        this.player.coyoteTime = Math.max(0, settings.coyoteTime);
+        this.player.jumpBufferTime = Math.max(0, settings.jumpBufferTime);
+        this.player.setSkin(settings.skin, this.assets);
     }
 
     /**
      * End game
      */
     gameOver() {
+        const cause = DeathCauses.get(this.death ? this.death.cause : null);
+        if (this.replay) {
+            this.endReplayRun(cause);
+            return;
+        }
+        
+        const deathCount = this.death ? this.storage.recordDeath(this.death.cause) : 0;
+        
         this.state = 'gameover';
-        this.audio.play('death');
+        this.audio.play(cause.sound);
         this.audio.pauseMusic();
+        this.audio.setBossMusic(false);
         
-        // Update high score
-        Utils.setHighScore(Math.floor(this.score));
-        this.highScore = Utils.getHighScore();
+        this.emit('death', Object.assign({}, this.death, {
+            score: Math.floor(this.score),
+            shards: this.shards
+        }));
+        
+        // Update high score for this profile
+        const previousHighScore = this.highScore;
+        if (this.storage.setHighScore(Math.floor(this.score), this.profile, this.seed)) {
+            this.emit('highscore', {
+                score: Math.floor(this.score),
+                previous: previousHighScore,
+                profile: this.profile
+            });
+        }
+        this.highScore = this.storage.getHighScore(this.profile);
+        this.finishRecording();
+        const ghostResult = this.finishGhost();
         
         // Start death animation
         this.deathAnimationProgress = 0;
+        this.deathAnimationDuration = cause.duration;
         
         // Show game over after animation
-        setTimeout(() => {
-            this.showElement('hud', false);
-            this.showElement('mute-button', false);
+        this.gameOverTimeout = setTimeout(() => {
+            if (this.destroyed) return;
+            this.hideRunHud();
             this.showElement('game-over', true);
             
-            document.getElementById('final-score').textContent = Utils.formatScore(this.score);
-            document.getElementById('game-over-high-score').textContent = Utils.formatScore(this.highScore);
+            this.setText('final-score', Utils.formatScore(this.score));
+            this.setText('final-shards', this.shards);
+            this.setText('game-over-high-score', Utils.formatScore(this.highScore));
+            this.setText('seed-display', this.seed);
+            this.setText('profile-display', DifficultyProfiles.get(this.profile).name);
+            this.setText('weather-display', this.world.weather.getSummary());
+            this.setText('death-display', DeathCauses.describe(this.death));
+            this.setText('death-count-display', deathCount > 1 ? `(${deathCount} times)` : '');
+            this.setText('ghost-result-display', ghostResult);
         }, this.deathAnimationDuration);
     }
 
     /**
-     * Main game loop
+     * End the run: record what killed the player and where, then game over
+     * cause is a DeathCauses id; building is the roof involved (if any)
      */
-    gameLoop(timestamp) {
-        // Calculate delta time
-        this.deltaTime = timestamp - this.lastTime;
-        this.lastTime = timestamp;
-        
-        // Cap delta time to prevent huge jumps
-        if (this.deltaTime > 100) this.deltaTime = 16.67;
-        
-        // Update and render based on state
-        if (!this.paused) {
-            if (this.state === 'playing') {
-                this.update();
-            } else if (this.state === 'gameover' && this.deathAnimationProgress < 1) {
-                this.deathAnimationProgress += this.deltaTime / this.deathAnimationDuration;
-            }
-            
-            this.render();
-        }
-        
-        // Continue loop
-        requestAnimationFrame(this.gameLoop);
+    killPlayer(cause, building = null, obstacle = null) {
+        this.player.die(cause);
+        this.death = {
+            cause: cause,
+            distance: Math.floor(this.world.distanceTraveled),
+            building: building ? this.world.describeBuilding(building) : null,
+            obstacle: obstacle ? obstacle.type : null
+        };
+        this.gameOver();
     }
 
     /**
-     * Update game state
+     * Close the run's recording and save it as the last (and maybe best) replay
      */
-    update() {
-        // Handle variable jump height
+    finishRecording() {
+        if (!this.recording) return;
+        
+        Replays.finish(this.recording, this.tick, this.score);
+        this.lastReplay = this.recording;
+        this.recording = null;
+        this.storage.saveReplay(this.lastReplay);
+        this.updateReplayButtons();
+    }
+
+    /**
+     * Watch a replay from the start menu or game over screen
+     * The run is rebuilt from its seed and settings and its inputs fed back tick by tick
+     */
+    playReplay(replay) {
+        if (!replay || (this.state !== 'menu' && this.state !== 'gameover')) return;
+        
+        this.audio.init();
+        this.audio.startMusic();
+        
+        // Remember where to go back to, and the player's own settings
+        this.replayReturn = { state: this.state, settings: this.getRunSettings() };
+        this.applyRunSettings(replay.settings);
+        this.replay = new ReplayPlayer(replay);
+        this.state = 'replay';
+        this.ghost = null;
+        this.resetRun(replay.seed);
+        
+        this.showElement('start-menu', false);
+        this.showElement('game-over', false);
+        this.showElement('hud', true);
+        this.showElement('mute-button', true);
+        this.showElement('replay-controls', true);
+        this.showElement('ghost-hud', false);
+        this.audio.resumeMusic();
+        this.updateReplayDisplay();
+    }
+
+    /**
+     * A replayed run has ended in death - play it out, nothing is recorded
+     */
+    endReplayRun(cause) {
+        this.audio.play(cause.sound);
+        this.deathAnimationProgress = 0;
+        this.deathAnimationDuration = cause.duration;
+        this.replay.playing = false;
+        this.updateReplayDisplay();
+    }
+
+    /**
+     * Stop watching and go back to the screen the replay was started from
+     */
+    exitReplay() {
+        if (this.state !== 'replay') return;
+        
+        const back = this.replayReturn;
+        this.replay = null;
+        this.replayReturn = null;
+        this.applyRunSettings(back.settings);
+        this.state = back.state;
+        this.deathAnimationProgress = 1;
+        this.audio.pauseMusic();
+        this.audio.setBossMusic(false);
+        
+        this.hideRunHud();
+        this.showElement('replay-controls', false);
+        this.showElement(back.state === 'menu' ? 'start-menu' : 'game-over', true);
+        this.updateHighScoreDisplay();
+    }
+
+    /**
+     * Jump to a tick of the replay - forwards by running the ticks, backwards by
+     * rebuilding the run and running it up to there, silently either way
+     */
+    seekReplay(tick) {
+        if (!this.replay) return;
+        
+        const target = Utils.clamp(Math.round(tick), 0, this.replay.replay.ticks);
+        if (target < this.tick) {
+            this.resetRun(this.replay.replay.seed);
+            this.replay.rewind();
+        }
+        
+        const muted = this.audio.muted;
+        this.audio.setMuted(true);
+        while (this.tick < target && this.player.isAlive()) {
+            this.step();
+        }
+        this.audio.setMuted(muted);
+        this.accumulator = 0;
+        this.updateHud(0);
+    }
+
+    /**
+     * Play or pause the replay, starting over once it has finished
+     */
+    toggleReplayPlayback() {
+        if (!this.replay) return;
+        
+        if (!this.replay.playing && (!this.player.isAlive() || this.replay.isFinished(this.tick))) {
+            this.seekReplay(0);
+        }
+        this.replay.playing = !this.replay.playing;
+        this.updateReplayDisplay();
+    }
+
+    /**
+     * Step to the next playback speed
+     */
+    cycleReplaySpeed() {
+        if (!this.replay) return;
+        
+        this.replay.cycleSpeed();
+        this.updateReplayDisplay();
+    }
+
+    /**
+     * Update the playback controls
+     */
+    updateReplayDisplay() {
+        if (!this.replay) return;
+        
+        const scrub = this.getElement('replay-scrub');
+        if (scrub) {
+            scrub.max = this.replay.replay.ticks;
+            scrub.value = this.tick;
+        }
+        const playButton = this.getElement('replay-play-button');
+        if (playButton) {
+            playButton.textContent = this.replay.playing ? '⏸' : '▶';
+        }
+        const speedButton = this.getElement('replay-speed-button');
+        if (speedButton) {
+            speedButton.textContent = `${this.replay.speed}x`;
+        }
+    }
+
+    /**
+     * Enable the replay buttons that have a replay to play
+     */
+    updateReplayButtons() {
+        const available = {
+            'last-replay-button': this.lastReplay,
+            'best-replay-button': this.storage.getReplays().best[this.profile],
+            'watch-replay-button': this.lastReplay,
+            'export-replay-button': this.lastReplay
+        };
+        for (const id of Object.keys(available)) {
+            const button = this.getElement(id);
+            if (button) {
+                button.disabled = !available[id];
+            }
+        }
+    }
+
+    /**
+     * Download a replay as a JSON file
+     */
+    exportReplay(replay) {
+        if (!replay) return;
+        this.downloadFile(Replays.getFileName(replay), Replays.serialize(replay));
+    }
+
+    /**
+     * Save text to a file through the browser's download
+     */
+    downloadFile(name, text) {
+        const blob = new Blob([text], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Load a replay file and watch it (invalid files are skipped with a warning)
+     */
+    importReplay(file) {
+        return file.text().then(text => {
+            const replay = Replays.parse(text);
+            if (replay) {
+                this.playReplay(replay);
+            }
+            return replay;
+        }).catch(e => {
+            console.warn('Could not read replay file:', e);
+            return null;
+        });
+    }
+
+    /**
+     * Sample the runner's position into the ghost being recorded
+     */
+    recordGhost() {
+        const courseX = this.world.distanceTraveled + this.player.x;
+        Ghosts.record(this.ghostRecording, this.tick, courseX, this.player.y, this.player.getCurrentFrameIndex());
+    }
+
+    /**
+     * Set up the ghost to race on this seed and profile - an imported one if it
+     * was for this course, otherwise the best saved run
+     */
+    loadGhost() {
+        const imported = this.importedGhost;
+        const data = imported && imported.seed === this.seed && imported.profile === this.profile
+            ? imported
+            : this.storage.getGhost(this.seed, this.profile);
+        
+        this.ghost = this.ghostsEnabled && data ? new Ghost(data, this.assets) : null;
+        if (this.ghost) {
+            this.ghost.place(this.tick, this.world.distanceTraveled);
+        }
+        this.showElement('ghost-hud', !!this.ghost);
+        this.updateGhostDisplay();
+    }
+
+    /**
+     * Close the ghost recording, saving it if it beat the one kept for the course
+     * Returns the game over summary of the race
+     */
+    finishGhost() {
+        if (!this.ghostRecording) return '-';
+        
+        const recording = this.ghostRecording;
+        const raced = this.ghost;
+        this.ghostRecording = null;
+        Ghosts.finish(recording, this.score);
+        const saved = this.storage.saveGhost(recording);
+        this.updateGhostButtons();
+        
+        // An imported ghost is raced until it is beaten
+        if (raced && raced.data === this.importedGhost && recording.score > raced.data.score) {
+            this.importedGhost = null;
+        }
+        
+        if (!raced) return saved ? 'Saved' : '-';
+        const gap = this.formatGhostGap(raced.getFinishGap(this.world.distanceTraveled + this.player.x));
+        return saved ? `${gap} (new best)` : gap;
+    }
+
+    /**
+     * Stop racing an imported ghost - on to a new course or back to the menu -
+     * and go back to the player's own profile
+     */
+    endGhostRace() {
+        this.importedGhost = null;
+        if (!this.ghostReturn) return;
+        
+        const profile = this.ghostReturn.profile;
+        this.ghostReturn = null;
+        this.useProfile(profile);
+    }
+
+    /**
+     * Metres ahead (+) or behind (-) the ghost, e.g. "+12m"
+     */
+    formatGhostGap(gap) {
+        const metres = Math.round(gap);
+        return `${metres > 0 ? '+' : ''}${metres}m`;
+    }
+
+    /**
+     * Update the ghost gap on the HUD
+     */
+    updateGhostDisplay() {
+        if (!this.ghost) return;
+        
+        const display = this.getElement('ghost-display');
+        if (display) {
+            const gap = this.ghost.getGap(this.world.distanceTraveled + this.player.x);
+            display.textContent = this.formatGhostGap(gap);
+            display.classList.toggle('behind', gap < 0);
+        }
+    }
+
+    /**
+     * Turn ghost racing on or off (from the pause menu settings)
+     */
+    toggleGhost() {
+        this.ghostsEnabled = !this.ghostsEnabled;
+        if (this.state === 'playing') {
+            this.loadGhost();
+        }
+        this.updateGhostSetting();
+    }
+
+    /**
+     * Update the ghost setting button
+     */
+    updateGhostSetting() {
+        const setting = this.getElement('ghost-setting');
+        if (setting) {
+            setting.textContent = this.ghostsEnabled ? 'GHOST: ON' : 'GHOST: OFF';
+        }
+    }
+
+    /**
+     * Enable the ghost buttons on the game over screen that have a ghost to use
+     */
+    updateGhostButtons() {
+        const ghost = this.storage.getGhost(this.seed, this.profile);
+        const buttons = {
+            'race-ghost-button': ghost,
+            'export-ghost-button': ghost
+        };
+        for (const id of Object.keys(buttons)) {
+            const button = this.getElement(id);
+            if (button) {
+                button.disabled = !buttons[id];
+            }
+        }
+    }
+
+    /**
+     * Download the best ghost on the last run's seed and profile
+     */
+    exportGhost() {
+        const ghost = this.storage.getGhost(this.seed, this.profile);
+        if (!ghost) return;
+        this.downloadFile(Ghosts.getFileName(ghost), Ghosts.serialize(ghost));
+    }
+
+    /**
+     * Load a ghost file (say, a teammate's run) and race it on its seed and profile
+     * It is also saved as the course's ghost if it beats the one kept. The ghost's
+     * profile is only used for the race, the player's own comes back afterwards.
+     */
+    importGhost(file) {
+        return file.text().then(text => {
+            const ghost = Ghosts.parse(text);
+            if (ghost && (this.state === 'menu' || this.state === 'gameover')) {
+                this.storage.saveGhost(ghost);
+                this.importedGhost = ghost;
+                if (!this.ghostReturn) {
+                    this.ghostReturn = { profile: this.profile };
+                }
+                this.useProfile(ghost.profile);
+                this.startGame(ghost.seed);
+            }
+            return ghost;
+        }).catch(e => {
+            console.warn('Could not read ghost file:', e);
+            return null;
+        });
+    }
+
+    /**
+     * Main game loop
+     * Runs as many fixed ticks as the frame's time covers, then draws the
+     * world interpolated between the last two ticks
+     */
+    gameLoop(timestamp) {
+        // A listener may have destroyed the game during the last frame
+        if (this.destroyed) return;
+        
+        // Calculate delta time
+        this.deltaTime = timestamp - this.lastTime;
+        this.lastTime = timestamp;
+        
+        // Cap delta time to prevent huge jumps
+        if (this.deltaTime > this.maxFrameTime) this.deltaTime = physics.timeStep;
+        
+        // Update and render based on state
+        if (!this.paused) {
+            let alpha = 1;
+            if (this.state === 'playing' && this.countdownTimer > 0) {
+                // Frozen until the countdown runs out
+                this.updateCountdown(this.deltaTime);
+                alpha = this.accumulator / physics.timeStep;
+            } else if (this.state === 'playing' || this.state === 'replay') {
+                // Replays run their ticks faster or slower (or not at all while paused)
+                this.accumulator += this.deltaTime * this.getPlaybackSpeed();
+                while (this.accumulator >= physics.timeStep && this.isSimulating()) {
+                    this.step();
+                    this.accumulator -= physics.timeStep;
+                }
+                if (this.player.isAlive()) {
+                    alpha = this.accumulator / physics.timeStep;
+                    this.updateHud(this.deltaTime);
+                }
+            }
+            
+            if (!this.player.isAlive() && this.deathAnimationProgress < 1) {
+                this.deathAnimationProgress += this.deltaTime / this.deathAnimationDuration;
+                this.particles.update(this.deltaTime);
+            }
+            
+            this.render(alpha);
+        }
+        
+        // Continue loop
+        this.animationFrame = requestAnimationFrame(this.gameLoop);
+    }
+
+    /**
+     * Whether ticks should run - a live run, or a replay that is playing
+     */
+    isSimulating() {
+        if (this.state === 'replay') {
+            return this.replay.playing && this.player.isAlive() && !this.replay.isFinished(this.tick);
+        }
+        return this.state === 'playing';
+    }
+
+    /**
+     * How fast ticks run against real time
+     */
+    getPlaybackSpeed() {
+        if (this.state !== 'replay') return 1;
+        return this.replay.playing ? this.replay.speed : 0;
+    }
+
+    /**
+     * Run one tick, first feeding in a replay's inputs due on it
+     */
+    step() {
+        if (this.replay) {
+            for (const input of this.replay.takeInputs(this.tick)) {
+                this.applyInput(input);
+            }
+        }
+        // physics is shared with any other Game on the page - tick with this one's gravity
+        physics.gravity = DifficultyProfiles.get(this.profile).physics.gravity;
+        this.tick++;
+        this.update(physics.timeStep);
+        
+        if (this.ghostRecording) {
+            this.recordGhost();
+        }
+        if (this.ghost) {
+            this.ghost.update(this.tick, this.world.distanceTraveled);
+        }
+        
+        if (this.replay && this.replay.isFinished(this.tick)) {
+            this.replay.playing = false;
+            this.updateReplayDisplay();
+        }
+    }
+
+    /**
+     * Update game state by one simulation tick of deltaTime ms
+     */
+    update(deltaTime) {
+        // Power-up timers run in real time, the simulation runs dilated
+        this.updateEffects(deltaTime);
+        const dt = deltaTime * this.player.effects.getTimeScale();
+        
+        // Handle variable jump height
         if (this.keys.jump) {
-            this.player.holdJump(this.deltaTime);
+            this.player.holdJump(dt);
         }
         
         const previousY = this.player.y;
         const wasGrounded = this.player.grounded;
         
         // Update world
-        this.world.update(this.deltaTime);
+        this.world.update(dt);
         
         // Check if player is currently over a building (using feet position)
         const playerFeetX = this.player.x + this.player.width / 2;
         const currentBuilding = this.world.getBuildingAt(playerFeetX, 1);
         
-        // Determine ground level
+        // Determine ground level (interior floor when running inside a building)
         let groundY;
         if (currentBuilding) {
-            groundY = currentBuilding.y;
+            groundY = this.world.getSurfaceY(currentBuilding, this.player);
         } else {
             // No building under player - they should fall
             groundY = this.canvas.height + 500;
         }
         
+        // Moving platforms can only be landed on from above, never from underneath
+        if (currentBuilding && currentBuilding.moving && !wasGrounded &&
+            previousY + this.player.height > currentBuilding.y - currentBuilding.deltaY + 8) {
+            groundY = this.canvas.height + 500;
+        }
+        
+        // Half way through a smashed window the interior floor already catches us
+        const enteredBuilding = this.world.getBuildingAt(this.player.x + this.player.width, 1);
+        if (!currentBuilding && this.world.isInside(enteredBuilding, this.player)) {
+            groundY = this.world.getSurfaceY(enteredBuilding, this.player);
+        }
+        
+        // Solid obstacles can be stood on if the player is coming from above
+        const solidObstacle = this.world.getSolidObstacleAt(playerFeetX);
+        if (solidObstacle && previousY + this.player.height <= solidObstacle.y + 5) {
+            groundY = Math.min(groundY, solidObstacle.y);
+        }
+        
         // If player was grounded but walked off edge, start falling
         if (wasGrounded && !currentBuilding) {
             this.player.grounded = false;
         }
         
+        // Ride moving platforms - carried by their own motion
+        const platform = wasGrounded && currentBuilding && currentBuilding.moving ? currentBuilding : null;
+        this.player.platform = platform;
+        if (platform) {
+            this.player.x += platform.deltaX;
+            this.player.y += platform.deltaY;
+        }
+        
         // Update player physics
-        this.player.update(this.deltaTime, groundY);
+        this.player.update(dt, groundY);
+        
+        // Keep the player under the roof when running through an interior
+        this.updateInteriors();
         
         // Check landing on buildings (when falling)
         if (!wasGrounded && this.player.velocityY > 0 && currentBuilding) {
@@ -337,16 +1498,26 @@ class Game {
                 // Only land if player was falling from above - not coming from the side
                 // Check if player's center was above the building when they started falling
                 if (previousY < currentBuilding.y) {
-                    this.player.landOnBuilding(currentBuilding.y, this.audio);
+                    this.player.landOnBuilding(currentBuilding.y);
+                } else if (this.player.absorbHit(this.audio)) {
+                    // Shield bounced us back up onto the roof
+                    this.player.y = currentBuilding.y - this.player.height;
                 } else {
-                    // Coming from below or side - should die
-                    this.player.die();
-                    this.gameOver();
+                    // Coming from below or side - clipped the ledge
+                    this.killPlayer('ledge', currentBuilding);
                     return;
                 }
             }
         }
         
+        // Remember the roof underfoot - a fall is blamed on the last one
+        if (this.player.grounded && currentBuilding) {
+            this.lastRoof = currentBuilding;
+        }
+        
+        // A jump pressed just before touching down fires now
+        this.player.takeBufferedJump();
+        
         // Check for side collision with buildings (hitting the wall)
         // Look for buildings ahead that the player might be colliding with from the side
         for (const building of this.world.buildings) {
@@ -361,50 +1532,490 @@ class Game {
                 this.player.x < building.x &&
                 playerBottom > building.y + 10 &&  // Below rooftop level (with small tolerance)
                 this.player.y < this.canvas.height) {
+                // Glass band - crash through into the interior
+                if (this.world.hitsGlassBand(building, this.player)) {
+                    if (!building.interior.broken) {
+                        this.crashThroughGlass(building);
+                    }
+                    continue;
+                }
+                
+                // Shield takes the hit and pops us up onto the roof
+                if (this.player.absorbHit(this.audio)) {
+                    this.player.y = building.y - this.player.height;
+                    continue;
+                }
+                
                 // Hit the side of a building - die!
-                this.player.die();
-                this.gameOver();
+                this.killPlayer('wall', building);
                 return;
             }
         }
         
+        // Trigger collapsing roofs, crumbling edges and falling billboards
+        this.world.updateHazards(this.player, this.player.grounded ? currentBuilding : null);
+        this.spawnWorldEffects();
+        
+        // Rooftop obstacles
+        if (this.handleObstacleCollisions()) {
+            return;
+        }
+        
         // Check if fell off screen
         if (this.player.y > this.canvas.height + 50) {
-            this.player.die();
-            this.gameOver();
+            this.killPlayer('fall', this.lastRoof);
             return;
         }
         
-        // Update score (distance-based)
-        this.score += (this.world.scrollSpeed / 10) * (this.deltaTime / 16.67);
+        // Collect pickups
+        this.handlePickups(dt);
+        
+        // Update particles
+        this.particles.update(dt, this.world.lastScrollAmount);
         
-        // Update HUD
+        // Update score (distance-based)
+        this.score += (this.world.scrollSpeed / 10) * (dt / 16.67);
+        this.checkMilestone();
+    }
+
+    /**
+     * Emit a milestone event each time the score passes another milestoneInterval
+     */
+    checkMilestone() {
+        while (this.score >= this.nextMilestone) {
+            this.emit('milestone', {
+                milestone: this.nextMilestone,
+                score: Math.floor(this.score),
+                distance: Math.floor(this.world.distanceTraveled)
+            });
+            this.nextMilestone += this.milestoneInterval;
+        }
+    }
+
+    /**
+     * Subscribe to a game event (the list and payloads are at the top of this file)
+     * Returns a function that unsubscribes again
+     */
+    on(name, callback) {
+        if (!Game.EVENTS.includes(name)) {
+            console.warn(`Game: unknown event "${name}"`);
+        }
+        this.events.on(name, callback);
+        return () => this.off(name, callback);
+    }
+
+    /**
+     * Unsubscribe a listener added with on()
+     */
+    off(name, callback) {
+        this.events.off(name, callback);
+    }
+
+    /**
+     * Tell subscribers about something in a live run (replays stay quiet)
+     */
+    emit(name, payload) {
+        if (this.state === 'replay') return;
+        this.events.emit(name, payload);
+    }
+
+    /**
+     * Update the HUD, once per drawn frame rather than per tick
+     */
+    updateHud(deltaTime) {
         this.updateScoreDisplay();
         this.updateSpeedDisplay();
+        this.updateDistrictDisplay(deltaTime);
+        this.updateBossDisplay();
+        this.updateGhostDisplay();
+        if (this.replay) {
+            this.updateReplayDisplay();
+        }
+    }
+
+    /**
+     * Smash through a glass band - costs a little speed
+     */
+    crashThroughGlass(building) {
+        this.world.breakGlass(building);
+        this.world.applySpeedPenalty(this.glassSpeedPenalty);
+        
+        // Squeeze in under the roof slab
+        const ceiling = building.y + this.world.roofThickness;
+        if (this.player.y < ceiling) {
+            this.player.y = ceiling;
+        }
+    }
+
+    /**
+     * Interior sections: bump the player's head on the ceiling
+     * and smash out through the far window
+     */
+    updateInteriors() {
+        const playerRight = this.player.x + this.player.width;
+        
+        for (const building of this.world.buildings) {
+            if (!building.interior || !building.interior.broken) continue;
+            if (playerRight < building.x || this.player.x > building.x + building.width) continue;
+            if (!this.world.isInside(building, this.player)) continue;
+            
+            const ceiling = building.y + this.world.roofThickness;
+            if (this.player.y < ceiling) {
+                this.player.y = ceiling;
+                this.player.velocityY = Math.max(0, this.player.velocityY);
+            }
+            
+            if (!building.interior.exitBroken && playerRight >= building.x + building.width) {
+                this.world.breakExitGlass(building);
+            }
+        }
+    }
+
+    /**
+     * Resolve collisions between the player and rooftop obstacles
+     * Returns true if the player died
+     */
+    handleObstacleCollisions() {
+        for (const obstacle of this.world.obstacles) {
+            if (obstacle.knocked || obstacle.hanging) continue;
+            if (!physics.checkObstacleCollision(this.player, obstacle)) continue;
+            
+            // Anything falling onto the player is deadly
+            const def = Obstacles.types[obstacle.type];
+            const response = obstacle.falling ? 'lethal' : def.response;
+            switch (response) {
+                case 'knock':
+                    // Crates get knocked over and trip the player up
+                    this.world.knockObstacle(obstacle, this.world.scrollSpeed);
+                    this.stumble(def.speedPenalty);
+                    this.particles.emit(obstacle.x + obstacle.width / 2, obstacle.y + obstacle.height / 2, 10, {
+                        colors: ['#8a6a3a', '#ffff00', '#5a4a2a'],
+                        speed: 5,
+                        angle: -Math.PI / 4,
+                        spread: Math.PI
+                    });
+                    break;
+                
+                case 'bump':
+                    // Low wreckage - stumble up onto it instead of dying
+                    if (this.player.y + this.player.height <= obstacle.y + 6) break;
+                    this.player.y = obstacle.y - this.player.height;
+                    this.player.velocityY = Math.min(0, this.player.velocityY);
+                    if (!obstacle.bumped) {
+                        obstacle.bumped = true;
+                        this.stumble(def.speedPenalty);
+                    }
+                    break;
+                
+                case 'solid':
+                    // Standing on top is fine, running into the side is not
+                    if (this.player.y + this.player.height <= obstacle.y + 6) break;
+                    if (this.player.absorbHit(this.audio)) {
+                        this.player.y = obstacle.y - this.player.height;
+                        break;
+                    }
+                    this.killPlayer('obstacle', obstacle.building, obstacle);
+                    return true;
+                
+                case 'lethal':
+                    if (this.player.absorbHit(this.audio)) {
+                        this.world.knockObstacle(obstacle, this.world.scrollSpeed);
+                        break;
+                    }
+                    this.killPlayer(obstacle.falling ? 'crushed' : 'obstacle', obstacle.building, obstacle);
+                    return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Trip the player up on an obstacle: a stumble and a temporary slowdown
+     */
+    stumble(speedPenalty) {
+        this.player.stumble('bump');
+        this.world.applySpeedPenalty(speedPenalty);
+    }
+
+    /**
+     * Player touched down - big drops cost speed unless rolled out of, rolls score
+     */
+    handleLanding(event) {
+        if (event.rolled) {
+            this.score += this.rollBonus;
+        } else if (event.hard) {
+            this.world.applySpeedPenalty(this.hardLandingPenalty);
+        }
+        this.emit('land', {
+            fallHeight: Math.round(event.fallHeight),
+            hard: event.hard,
+            rolled: event.rolled,
+            score: Math.floor(this.score)
+        });
+    }
+
+    /**
+     * Puff of dust from the player's feet as they stumble
+     */
+    emitStumbleDust() {
+        this.particles.emit(this.player.x + this.player.width * 0.6, this.player.y + this.player.height, 8, {
+            colors: ['#3a3a4e', '#555566'],
+            speed: 2,
+            angle: -Math.PI / 2,
+            spread: Math.PI / 2
+        });
+    }
+
+    /**
+     * Turn world events (crumbling edges, collapses, impacts) into particles
+     */
+    spawnWorldEffects() {
+        for (const effect of this.world.pendingEffects) {
+            switch (effect.type) {
+                case 'crumble':
+                    this.particles.emit(effect.x, effect.y, 1, {
+                        colors: ['#252535', '#3a3a4e'],
+                        speed: 1.5,
+                        angle: Math.PI / 2,
+                        spread: Math.PI / 2,
+                        size: 5
+                    });
+                    break;
+                case 'collapse':
+                    this.particles.emit(effect.x, effect.y, 2, {
+                        colors: ['#555566', '#2a2a38'],
+                        speed: 2,
+                        angle: -Math.PI / 2,
+                        spread: Math.PI,
+                        gravity: 0.05,
+                        life: 700,
+                        size: 6
+                    });
+                    break;
+                case 'glass':
+                    this.particles.emit(effect.x, effect.y, 24, {
+                        colors: ['#aaffff', '#00ffff', '#ffffff'],
+                        speed: 7,
+                        angle: 0,
+                        spread: Math.PI * 0.9,
+                        gravity: 0.35,
+                        size: 4
+                    });
+                    this.audio.play('glass');
+                    break;
+                case 'lightning':
+                    this.audio.play('thunder');
+                    break;
+                case 'bossStart':
+                    this.audio.setBossMusic(true);
+                    this.announce(`${Bosses.types[effect.boss].name} incoming`);
+                    break;
+                case 'bossStrike':
+                    this.particles.emit(effect.x, effect.y, 20, {
+                        colors: [Bosses.types[effect.boss].color, '#ffff00', '#ffffff'],
+                        speed: 7,
+                        angle: -Math.PI / 2,
+                        spread: Math.PI * 0.8,
+                        gravity: 0.25,
+                        size: 5
+                    });
+                    this.audio.play('blast');
+                    break;
+                case 'bossSurvived':
+                    this.rewardBossSurvived(effect.boss);
+                    break;
+                case 'impact':
+                    this.particles.emit(effect.x, effect.y, 14, {
+                        colors: ['#ff00ff', '#ffff00', '#ffffff'],
+                        speed: 6,
+                        angle: -Math.PI / 2,
+                        spread: Math.PI
+                    });
+                    this.audio.play('land');
+                    break;
+            }
+        }
+        this.world.pendingEffects.length = 0;
+    }
+
+    /**
+     * Outran a boss - pay out its reward
+     */
+    rewardBossSurvived(type) {
+        const def = Bosses.types[type];
+        this.score += def.reward.score;
+        if (def.reward.powerUp) {
+            this.player.effects.apply(def.reward.powerUp);
+        }
+        
+        this.audio.setBossMusic(false);
+        this.audio.play('powerup');
+        this.announce(`${def.name} outrun +${def.reward.score}`);
+    }
+
+    /**
+     * Collect any pickups the player is touching
+     * Shard bonuses go straight into the score
+     */
+    handlePickups(dt) {
+        const hitbox = this.player.getHitbox();
+        const magnet = this.player.effects.has('magnet') ? PowerUps.types.magnet : null;
+        const centerX = hitbox.x + hitbox.width / 2;
+        const centerY = hitbox.y + hitbox.height / 2;
+        
+        for (let i = this.world.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.world.pickups[i];
+            
+            // Magnet pulls nearby shards in
+            if (magnet && pickup.type === 'shard') {
+                const dx = centerX - (pickup.x + pickup.width / 2);
+                const dy = centerY - (pickup.y + pickup.height / 2);
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance < magnet.radius && distance > 0) {
+                    const pull = Math.min(magnet.pullSpeed * (dt / 16.67), distance);
+                    pickup.x += (dx / distance) * pull;
+                    pickup.y += (dy / distance) * pull;
+                }
+            }
+            
+            if (!Utils.rectsOverlap(hitbox, pickup)) continue;
+            
+            const def = Pickups.types[pickup.type];
+            if (pickup.type === 'shard') {
+                this.shards++;
+                this.score += def.score;
+                this.updateShardDisplay();
+            } else if (pickup.type === 'powerup') {
+                this.player.effects.apply(pickup.powerUp);
+            }
+            
+            this.audio.play(def.sound);
+            this.particles.emit(pickup.x + pickup.width / 2, pickup.y + pickup.height / 2, 6, {
+                colors: [def.color, '#ffffff'],
+                speed: 3,
+                gravity: 0,
+                life: 300,
+                size: 3
+            });
+            this.emit('pickup', {
+                type: pickup.type,
+                powerUp: pickup.type === 'powerup' ? pickup.powerUp : null,
+                shards: this.shards,
+                score: Math.floor(this.score)
+            });
+            this.world.collectPickup(pickup);
+        }
+    }
+
+    /**
+     * Tick power-up timers and refresh the effect HUD
+     */
+    updateEffects(deltaTime) {
+        this.player.effects.update(deltaTime);
+        this.updateEffectsDisplay();
     }
 
     /**
      * Render game
      */
-    render() {
-        this.renderer.render(this);
+    render(alpha = 1) {
+        this.renderer.render(this, alpha);
     }
 
     /**
      * Update score display
      */
     updateScoreDisplay() {
-        const scoreDisplay = document.getElementById('score-display');
+        const scoreDisplay = this.getElement('score-display');
         if (scoreDisplay) {
             scoreDisplay.textContent = Utils.formatScore(this.score);
         }
     }
 
+    /**
+     * Update shard counter
+     */
+    updateShardDisplay() {
+        const shardDisplay = this.getElement('shards-display');
+        if (shardDisplay) {
+            shardDisplay.textContent = this.shards;
+        }
+    }
+
+    /**
+     * Update active power-up timers in the HUD
+     */
+    updateEffectsDisplay() {
+        const effectsDisplay = this.getElement('effects-display');
+        if (!effectsDisplay) return;
+        
+        const html = this.player.effects.list().map(({ type, remaining }) => {
+            const def = PowerUps.types[type];
+            return `<div class="effect-timer" style="color: ${def.color}">` +
+                `${def.label} ${(remaining / 1000).toFixed(1)}s</div>`;
+        }).join('');
+        
+        // Only touch the DOM when something changed
+        if (html !== this.lastEffectsHtml) {
+            effectsDisplay.innerHTML = html;
+            this.lastEffectsHtml = html;
+        }
+    }
+
+    /**
+     * Announce the district the player has entered
+     */
+    updateDistrictDisplay(deltaTime) {
+        const banner = this.getElement('district-banner');
+        if (!banner) return;
+        
+        const name = Districts.types[Districts.getDominant(this.world.district)].name;
+        if (name !== this.districtName) {
+            this.districtName = name;
+            this.announce(name);
+        } else if (this.districtBannerTimer > 0) {
+            this.districtBannerTimer -= deltaTime;
+            if (this.districtBannerTimer <= 0) {
+                this.showElement('district-banner', false);
+            }
+        }
+    }
+
+    /**
+     * Show a message in the banner for a while
+     */
+    announce(text) {
+        const banner = this.getElement('district-banner');
+        if (!banner) return;
+        
+        banner.textContent = text;
+        this.districtBannerTimer = this.districtBannerDuration;
+        this.showElement('district-banner', true);
+    }
+
+    /**
+     * Boss name and how much of the chase is left
+     */
+    updateBossDisplay() {
+        const bosses = this.world.bosses;
+        this.showElement('boss-hud', bosses.isChasing());
+        if (!bosses.isChasing()) return;
+        
+        const def = Bosses.types[bosses.active.type];
+        const name = this.getElement('boss-name');
+        const progress = this.getElement('boss-progress');
+        if (name) name.textContent = def.name;
+        if (progress) {
+            progress.style.width = `${(1 - bosses.getProgress(this.world.distanceTraveled)) * 100}%`;
+            progress.style.background = def.color;
+        }
+    }
+
     /**
      * Update speed display
      */
     updateSpeedDisplay() {
-        const speedDisplay = document.getElementById('speed-display');
+        const speedDisplay = this.getElement('speed-display');
         if (speedDisplay) {
             speedDisplay.textContent = this.world.getSpeedMultiplier().toFixed(1) + 'x';
         }
@@ -416,18 +2027,58 @@ class Game {
     updateHighScoreDisplay() {
         const displays = ['high-score-display', 'game-over-high-score'];
         for (const id of displays) {
-            const el = document.getElementById(id);
+            const el = this.getElement(id);
             if (el) {
                 el.textContent = Utils.formatScore(this.highScore);
             }
         }
     }
 
+    /**
+     * Highlight the selected profile on the start menu
+     */
+    updateProfileDisplay() {
+        for (const button of this.menuButtons) {
+            if (!button.dataset.profile) continue;
+            button.classList.toggle('selected', button.dataset.profile === this.profile);
+        }
+    }
+
+    /**
+     * Highlight the selected skin on the start menu
+     */
+    updateSkinDisplay() {
+        for (const button of this.menuButtons) {
+            if (!button.dataset.skin) continue;
+            button.classList.toggle('selected', button.dataset.skin === this.player.skin);
+        }
+    }
+
+    /**
+     * Set an element's text, if the page has it
+     */
+    setText(id, text) {
+        const el = this.getElement(id);
+        if (el) {
+            el.textContent = text;
+        }
+    }
+
+    /**
+     * Open the browser's file picker behind a file input, if the page has it
+     */
+    openFilePicker(id) {
+        const input = this.getElement(id);
+        if (input) {
+            input.click();
+        }
+    }
+
     /**
      * Show/hide element
      */
     showElement(id, show) {
-        const el = document.getElementById(id);
+        const el = this.getElement(id);
         if (el) {
             if (show) {
                 el.classList.remove('hidden');
@@ -437,3 +2088,6 @@ class Game {
         }
     }
 }
+
+// Names of the events a Game emits (see the top of this file for their payloads)
+Game.EVENTS = ['start', 'pause', 'resume', 'jump', 'land', 'pickup', 'milestone', 'death', 'highscore'];
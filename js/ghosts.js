@@ -0,0 +1,240 @@
+/**
+ * Ghost Runner for Cyber Runner
+ * Your best run on a seed, raced as a translucent runner alongside you
+ *
+ * A ghost is a track of where the runner was every few simulation ticks:
+ * {
+ *   "version": 1,
+ *   "seed": 1234567890,
+ *   "profile": "normal",
+ *   "skin": "runner",
+ *   "score": 2975,
+ *   "date": 1700000000000,
+ *   "timeStep": 8.333,        // ms per tick the run was recorded at
+ *   "interval": 4,            // Ticks between samples
+ *   "samples": [110, 452, 0, 122, 452, 1] // x (px into the course), y (px), sprite frame - per sample
+ * }
+ * The track ends where the run did.
+ */
+
+const Ghosts = {
+    version: 1,
+    interval: 4,        // Ticks between samples (30 a second)
+    pixelsPerMetre: 10, // For the ahead/behind readout, in step with the score
+    opacity: 0.35,
+    trail: '#ffffff',   // Trail color, whatever the ghost's skin
+
+    /**
+     * Start recording a ghost for a run
+     */
+    create(seed, profile, skin) {
+        return {
+            version: this.version,
+            seed: seed,
+            profile: profile,
+            skin: skin,
+            score: 0,
+            date: Date.now(),
+            timeStep: physics.timeStep,
+            interval: this.interval,
+            samples: []
+        };
+    },
+
+    /**
+     * Add the runner's position on a tick, if a sample is due
+     * courseX is the runner's x measured from the start of the course
+     */
+    record(ghost, tick, courseX, y, frame) {
+        if (tick % ghost.interval !== 0) return;
+        ghost.samples.push(Math.round(courseX), Math.round(y), frame);
+    },
+
+    /**
+     * Close a recording once the run is over
+     */
+    finish(ghost, score) {
+        ghost.score = Math.floor(score);
+    },
+
+    /**
+     * Storage key - ghosts are kept per seed and difficulty profile
+     */
+    getKey(seed, profile) {
+        return `${profile}:${seed}`;
+    },
+
+    /**
+     * Turn JSON text (or an already parsed object) into a ghost
+     * Returns null, with a warning, if it isn't a usable ghost
+     */
+    parse(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                console.warn('Invalid ghost JSON:', e);
+                return null;
+            }
+        }
+        
+        const problems = this.validate(data);
+        if (problems.length > 0) {
+            console.warn('Skipping ghost:', problems.join('; '));
+            return null;
+        }
+        return data;
+    },
+
+    /**
+     * Check a ghost, returning a list of problems (empty when valid)
+     */
+    validate(ghost) {
+        const problems = [];
+        
+        if (!ghost || typeof ghost !== 'object') return ['not a ghost'];
+        if (ghost.version !== this.version) problems.push(`unsupported version ${ghost.version}`);
+        if (!Number.isInteger(ghost.seed) || ghost.seed < 0) problems.push('needs a numeric seed');
+        if (!DifficultyProfiles.profiles[ghost.profile]) problems.push(`unknown profile "${ghost.profile}"`);
+        if (typeof ghost.score !== 'number') problems.push('needs a score');
+        if (ghost.timeStep !== physics.timeStep) problems.push(`recorded at a different tick length (${ghost.timeStep}ms)`);
+        if (!Number.isInteger(ghost.interval) || ghost.interval < 1) problems.push('needs a sample interval');
+        if (!Array.isArray(ghost.samples) || ghost.samples.length < 3 || ghost.samples.length % 3 !== 0 ||
+            !ghost.samples.every(value => typeof value === 'number' && isFinite(value))) {
+            problems.push('samples must be [x, y, frame] numbers');
+        }
+        
+        return problems;
+    },
+
+    /**
+     * Export a ghost as JSON text
+     */
+    serialize(ghost) {
+        return JSON.stringify(ghost);
+    },
+
+    /**
+     * File name for an exported ghost
+     */
+    getFileName(ghost) {
+        return `cyber-runner-ghost-${ghost.profile}-${ghost.seed}-${ghost.score}.json`;
+    }
+};
+
+/**
+ * A recorded ghost running its track
+ * Shaped like the Player as far as Renderer.renderPlayer needs, so it is drawn
+ * with the same sprites.
+ */
+class Ghost {
+    constructor(data, assets) {
+        this.data = data;
+        this.width = 32;
+        this.height = 48;
+        this.skin = Skins.resolve(data.skin);
+        this.frames = assets.generatePlayerFrames(this.width, this.height, this.skin);
+        this.frame = 0;
+        
+        // Position on screen, and along the course
+        this.x = 0;
+        this.y = 0;
+        this.previousX = 0;
+        this.previousY = 0;
+        this.courseX = 0;
+        this.finished = false; // Past the end of the track, where the run ended
+        
+        // Same look as the player's trail, without the extras
+        this.trail = [];
+        this.maxTrailLength = 6;
+        this.trailInterval = 16.67;
+        this.trailTimer = 0;
+        this.invulnerableTimer = 0;
+        this.effects = { has: () => false };
+    }
+
+    /**
+     * Move to where the run was on a tick
+     * distance is how far the world has scrolled, to place the ghost on screen
+     */
+    update(tick, distance) {
+        const samples = this.data.samples;
+        const count = samples.length / 3;
+        const position = tick / this.data.interval;
+        const index = Math.floor(position);
+        
+        this.previousX = this.x;
+        this.previousY = this.y;
+        this.finished = position > count - 1;
+        
+        const a = Math.min(index, count - 1) * 3;
+        const b = Math.min(index + 1, count - 1) * 3;
+        const t = Utils.clamp(position - index, 0, 1);
+        this.courseX = Utils.lerp(samples[a], samples[b], t);
+        this.y = Utils.lerp(samples[a + 1], samples[b + 1], t);
+        this.frame = samples[a + 2];
+        this.x = this.courseX - distance;
+        
+        this.trailTimer -= physics.timeStep;
+        if (this.trailTimer <= 0) {
+            this.trailTimer += this.trailInterval;
+            this.trail.unshift({ x: this.x, y: this.y, alpha: 1 });
+            if (this.trail.length > this.maxTrailLength) {
+                this.trail.pop();
+            }
+            for (let i = 0; i < this.trail.length; i++) {
+                this.trail[i].alpha = 1 - (i / this.maxTrailLength);
+            }
+        }
+    }
+
+    /**
+     * Put the ghost where the run was on a tick, with a fresh trail
+     */
+    place(tick, distance) {
+        this.trail = [];
+        this.trailTimer = 0;
+        this.update(tick, distance);
+        this.previousX = this.x;
+        this.previousY = this.y;
+    }
+
+    /**
+     * The ghost is drawn until its track runs out
+     */
+    isAlive() {
+        return !this.finished;
+    }
+
+    /**
+     * Where to draw the ghost, alpha of the way from the previous tick to the latest
+     */
+    getRenderPosition(alpha = 1) {
+        return {
+            x: Utils.lerp(this.previousX, this.x, alpha),
+            y: Utils.lerp(this.previousY, this.y, alpha)
+        };
+    }
+
+    /**
+     * Get current sprite frame
+     */
+    getCurrentFrame() {
+        return this.frames[this.frame] || this.frames[0];
+    }
+
+    /**
+     * Metres the player at courseX is ahead of the ghost (negative when behind)
+     */
+    getGap(courseX) {
+        return (courseX - this.courseX) / Ghosts.pixelsPerMetre;
+    }
+
+    /**
+     * Metres courseX is past where the ghost's run ended (negative when short of it)
+     */
+    getFinishGap(courseX) {
+        const samples = this.data.samples;
+        return (courseX - samples[samples.length - 3]) / Ghosts.pixelsPerMetre;
+    }
+}
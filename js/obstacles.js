@@ -0,0 +1,139 @@
+/**
+ * Rooftop Obstacles for Cyber Runner
+ * Type definitions and helpers for the obstacles World places on rooftops
+ */
+
+const Obstacles = {
+    /**
+     * Obstacle types
+     * response decides what happens when the player touches one:
+     *   knock  - knocked over, costs speed
+     *   solid  - can be landed on, hitting the side is fatal
+     *   bump   - low enough to stumble over: can be landed on, hitting the side costs speed
+     *   lethal - any contact is fatal
+     * clearance lifts an overhead obstacle off the roof - slide under it or jump over it
+     */
+    types: {
+        crate: {
+            width: 22,
+            height: 22,
+            response: 'knock',
+            speedPenalty: 0.35,
+            minDifficulty: 1,
+            weight: 5
+        },
+        acUnit: {
+            width: 34,
+            height: 26,
+            response: 'solid',
+            minDifficulty: 1.2,
+            weight: 3
+        },
+        barrier: {
+            width: 10,
+            height: 44,
+            response: 'lethal',
+            minDifficulty: 1.5,
+            weight: 2
+        },
+        // Steam pipe between two posts, low enough that only a slide gets under it
+        pipe: {
+            width: 60,
+            height: 12,
+            clearance: 26,
+            response: 'lethal',
+            minDifficulty: 1.3,
+            weight: 2
+        },
+        // Hangs high on a debris building, deadly while it falls
+        billboard: {
+            width: 46,
+            height: 28,
+            response: 'lethal',
+            minDifficulty: 1,
+            weight: 0,
+            hangHeight: 120,
+            landsAs: 'debris'
+        },
+        // Wreckage left where a billboard landed
+        debris: {
+            width: 46,
+            height: 16,
+            response: 'bump',
+            speedPenalty: 0.3,
+            minDifficulty: 1,
+            weight: 0
+        },
+        // Burning wreckage left by a boss shell
+        wreck: {
+            width: 30,
+            height: 20,
+            response: 'bump',
+            speedPenalty: 0.3,
+            minDifficulty: 1,
+            weight: 0
+        }
+    },
+
+    /**
+     * Create a blank obstacle for the object pool
+     */
+    create() {
+        return {
+            type: null,
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            offsetX: 0,
+            building: null,
+            active: false,
+            knocked: false,
+            bumped: false,  // Already tripped the player once
+            velocityX: 0,
+            velocityY: 0,
+            rotation: 0,
+            spin: 0,
+            hanging: false, // Mounted high, not yet collidable
+            falling: false  // Dropping onto the roof, always lethal
+        };
+    },
+
+    /**
+     * Reset an obstacle when it is returned to the pool
+     */
+    reset(obstacle) {
+        obstacle.active = false;
+        obstacle.building = null;
+        obstacle.knocked = false;
+        obstacle.bumped = false;
+        obstacle.velocityX = 0;
+        obstacle.velocityY = 0;
+        obstacle.rotation = 0;
+        obstacle.spin = 0;
+        obstacle.hanging = false;
+        obstacle.falling = false;
+    },
+
+    /**
+     * Pick an obstacle type allowed at the current difficulty (weighted)
+     * multipliers scales individual weights, e.g. per district. Returns null if nothing is allowed.
+     */
+    pickType(difficulty, rng = Math.random, multipliers = {}) {
+        const weightOf = type => this.types[type].weight * (multipliers[type] !== undefined ? multipliers[type] : 1);
+        
+        // Weight 0 types are only placed by specific building variants
+        const allowed = Object.keys(this.types).filter(
+            type => weightOf(type) > 0 && difficulty >= this.types[type].minDifficulty
+        );
+        const totalWeight = allowed.reduce((sum, type) => sum + weightOf(type), 0);
+        if (totalWeight <= 0) return null;
+        
+        let roll = rng() * totalWeight;
+        for (const type of allowed) {
+            roll -= weightOf(type);
+            if (roll < 0) return type;
+        }
+        return allowed[allowed.length - 1];
+    }
+};
@@ -0,0 +1,76 @@
+/**
+ * Particle System for Cyber Runner
+ * Short-lived pooled particles for impacts and effects
+ */
+
+class ParticleSystem {
+    constructor() {
+        this.pool = new ObjectPool(
+            () => ({ x: 0, y: 0, velocityX: 0, velocityY: 0, life: 0, maxLife: 0, size: 0, color: '#fff', gravity: 0 }),
+            (p) => { p.life = 0; },
+            60
+        );
+    }
+
+    /**
+     * Emit a burst of particles
+     * Particles are purely cosmetic so they use Math.random, not the run seed
+     */
+    emit(x, y, count, options = {}) {
+        const {
+            colors = ['#00ffff'],
+            speed = 4,
+            spread = Math.PI * 2,
+            angle = 0,
+            life = 500,
+            size = 4,
+            gravity = 0.3
+        } = options;
+        
+        for (let i = 0; i < count; i++) {
+            const p = this.pool.get();
+            const a = angle + (Math.random() - 0.5) * spread;
+            const s = speed * Utils.random(0.4, 1);
+            p.x = x;
+            p.y = y;
+            p.velocityX = Math.cos(a) * s;
+            p.velocityY = Math.sin(a) * s;
+            p.life = life * Utils.random(0.6, 1);
+            p.maxLife = p.life;
+            p.size = size * Utils.random(0.5, 1);
+            p.color = Utils.randomChoice(colors);
+            p.gravity = gravity;
+        }
+    }
+
+    /**
+     * Update particles (scrollAmount keeps them fixed to the world)
+     */
+    update(deltaTime, scrollAmount = 0) {
+        const step = deltaTime / 16.67;
+        const active = this.pool.getActive();
+        
+        for (let i = active.length - 1; i >= 0; i--) {
+            const p = active[i];
+            p.velocityY += p.gravity * step;
+            p.x += p.velocityX * step - scrollAmount;
+            p.y += p.velocityY * step;
+            p.life -= deltaTime;
+            
+            if (p.life <= 0) {
+                this.pool.release(p);
+            }
+        }
+    }
+
+    /**
+     * Remove all particles
+     */
+    clear() {
+        this.pool.releaseAll();
+    }
+
+    getActive() {
+        return this.pool.getActive();
+    }
+}
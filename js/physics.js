@@ -7,6 +7,13 @@ class Physics {
     constructor() {
         this.gravity = 0.6;
         this.terminalVelocity = 15;
+        this.wind = 0; // Horizontal push on airborne entities (px/frame², set by the weather)
+        this.maxWindVelocity = 4;
+        
+        // Length of one simulation tick (ms) - Game steps the world at a fixed 120Hz.
+        // Velocities stay in px per 60fps frame and are scaled by the tick.
+        this.timeStep = 1000 / 120;
+        this.frameTime = 16.67;
     }
 
     /**
@@ -19,6 +26,17 @@ class Physics {
         }
     }
 
+    /**
+     * Push an airborne entity sideways with the wind
+     */
+    applyWind(entity, deltaTime = 1) {
+        entity.velocityX = Utils.clamp(
+            entity.velocityX + this.wind * deltaTime,
+            -this.maxWindVelocity,
+            this.maxWindVelocity
+        );
+    }
+
     /**
      * Update entity position based on velocity
      */
@@ -61,8 +79,9 @@ class Physics {
      * Returns collision info with penetration depth
      */
     checkObstacleCollision(entity, obstacle) {
-        // Create slightly smaller hitbox for player (more forgiving)
-        const playerHitbox = {
+        // Use the entity's own hitbox if it has one,
+        // otherwise a slightly smaller box (more forgiving)
+        const playerHitbox = entity.getHitbox ? entity.getHitbox() : {
             x: entity.x + 8,
             y: entity.y + 5,
             width: entity.width - 16,
@@ -100,17 +119,74 @@ class Physics {
     }
 
     /**
-     * Predict landing position
+     * Simulate a jump tick by tick (timeStep steps) the way Player moves
+     * Returns how far it travels horizontally before dropping back below targetY
+     * If apexY is below targetY the target height was never reached
+     * wind pushes the jump sideways like applyWind does
+     * options: { speed, jumpPower, holdPower, holdTime, startY, targetY, velocityY, wind }
+     */
+    simulateJump(options) {
+        const {
+            speed,
+            jumpPower,
+            holdPower = 0,
+            holdTime = 0,
+            startY = 0,
+            targetY = startY,
+            velocityY = 0,
+            wind = 0
+        } = options;
+        
+        let y = startY;
+        let vx = 0;
+        let distance = 0;
+        let vy = jumpPower + Math.min(0, velocityY);
+        let held = 0;
+        let ticks = 0;
+        let apexY = y;
+        const step = this.timeStep / this.frameTime;
+        const maxTicks = Math.ceil(10000 / this.timeStep);
+        
+        // Cap at 10 seconds of air time in case the target can never be reached
+        while (ticks < maxTicks) {
+            if (held < holdTime && vy < 0) {
+                vy += holdPower * step;
+                held += this.timeStep;
+            }
+            vy = Math.min(vy + this.gravity * step, this.terminalVelocity);
+            vx = Utils.clamp(vx + wind * step, -this.maxWindVelocity, this.maxWindVelocity);
+            y += vy * step;
+            distance += (speed + vx) * step;
+            ticks++;
+            apexY = Math.min(apexY, y);
+            
+            if (vy > 0 && y >= targetY) break;
+        }
+        
+        return {
+            distance: distance,
+            ticks: ticks,
+            apexY: apexY
+        };
+    }
+
+    /**
+     * Predict landing position (no jump hold, timeStep steps)
+     * Keeps going while still rising, so jumps that start at groundY are handled
      */
-    predictLanding(x, y, velocityX, velocityY, groundY) {
+    predictLanding(x, y, velocityX, velocityY, groundY, wind = 0) {
         let px = x;
         let py = y;
         let vy = velocityY;
+        let vx = 0;
+        const step = this.timeStep / this.frameTime;
+        const maxTicks = Math.ceil(10000 / this.timeStep);
         
-        while (py < groundY) {
-            vy += this.gravity;
-            py += vy;
-            px += velocityX;
+        for (let i = 0; i < maxTicks && (py < groundY || vy < 0); i++) {
+            vy = Math.min(vy + this.gravity * step, this.terminalVelocity);
+            vx = Utils.clamp(vx + wind * step, -this.maxWindVelocity, this.maxWindVelocity);
+            py += vy * step;
+            px += (velocityX + vx) * step;
         }
         
         return { x: px, y: groundY };
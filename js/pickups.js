@@ -0,0 +1,51 @@
+/**
+ * Pickups for Cyber Runner
+ * Type definitions and helpers for collectibles World places along the course
+ */
+
+const Pickups = {
+    /**
+     * Pickup types
+     */
+    types: {
+        shard: {
+            width: 12,
+            height: 16,
+            score: 25,
+            sound: 'pickup',
+            color: '#00ffff'
+        },
+        powerup: {
+            width: 20,
+            height: 20,
+            score: 0,
+            sound: 'powerup',
+            color: '#ffffff'
+        }
+    },
+
+    /**
+     * Create a blank pickup for the object pool
+     */
+    create() {
+        return {
+            type: null,
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            active: false,
+            phase: 0,
+            powerUp: null // Power-up type for 'powerup' pickups
+        };
+    },
+
+    /**
+     * Reset a pickup when it is returned to the pool
+     */
+    reset(pickup) {
+        pickup.active = false;
+        pickup.type = null;
+        pickup.powerUp = null;
+    }
+};
@@ -0,0 +1,111 @@
+/**
+ * Moving Platforms for Cyber Runner
+ * Lifts, hover drones and crane hooks that bridge otherwise impossible gaps
+ */
+
+const MovingPlatforms = {
+    /**
+     * Platform types
+     * Each travels on a periodic path around its anchor point
+     */
+    types: {
+        // Cargo lift - rises and falls on rails
+        lift: {
+            width: 90,
+            height: 10,
+            amplitudeY: 50,
+            period: 2400 // ms per full cycle
+        },
+        // Hover drone - drifts back and forth across the gap
+        drone: {
+            width: 80,
+            height: 10,
+            amplitudeX: 40,
+            amplitudeY: 8,
+            period: 2000
+        },
+        // Crane hook - swings on a cable from above
+        crane: {
+            width: 70,
+            height: 10,
+            cableLength: 260,
+            swingAngle: 0.18, // radians either side of vertical
+            period: 2600
+        }
+    },
+
+    /**
+     * Create a blank platform for the object pool
+     */
+    create() {
+        return {
+            type: null,
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            anchorX: 0,   // Path centre (scrolls with the world)
+            anchorY: 0,
+            time: 0,
+            deltaX: 0,    // Own movement this update (excluding scroll)
+            deltaY: 0,
+            velocityX: 0, // Own velocity in px per 60fps frame
+            velocityY: 0,
+            moving: true,
+            active: false
+        };
+    },
+
+    /**
+     * Reset a platform when it is returned to the pool
+     */
+    reset(platform) {
+        platform.active = false;
+        platform.type = null;
+        platform.time = 0;
+        platform.deltaX = 0;
+        platform.deltaY = 0;
+        platform.velocityX = 0;
+        platform.velocityY = 0;
+    },
+
+    /**
+     * Position of a platform's top-left on its path at a given time
+     */
+    getPosition(platform, time) {
+        const def = this.types[platform.type];
+        const phase = (time / def.period) * Math.PI * 2;
+        
+        switch (platform.type) {
+            case 'lift':
+                return {
+                    x: platform.anchorX - def.width / 2,
+                    y: platform.anchorY + Math.sin(phase) * def.amplitudeY
+                };
+            case 'drone':
+                return {
+                    x: platform.anchorX - def.width / 2 + Math.sin(phase) * def.amplitudeX,
+                    y: platform.anchorY + Math.sin(phase * 2) * def.amplitudeY
+                };
+            case 'crane': {
+                // Anchor is where the hook hangs at rest, the pivot is a cable length above
+                const angle = Math.sin(phase) * def.swingAngle;
+                return {
+                    x: platform.anchorX - def.width / 2 + Math.sin(angle) * def.cableLength,
+                    y: platform.anchorY - def.cableLength + Math.cos(angle) * def.cableLength
+                };
+            }
+        }
+        return { x: platform.anchorX, y: platform.anchorY };
+    },
+
+    /**
+     * How far a platform can stray horizontally from its anchor
+     */
+    getHorizontalRange(type) {
+        const def = this.types[type];
+        if (type === 'drone') return def.amplitudeX;
+        if (type === 'crane') return Math.sin(def.swingAngle) * def.cableLength;
+        return 0;
+    }
+};
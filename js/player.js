@@ -1,12 +1,17 @@
 /**
  * Player Class for Cyber Runner
  * Handles player state, input, and animations
+ * Which phase of a move the runner is in (running, in the air, landing...) lives in a
+ * StateMachine (see js/states.js); other systems subscribe to its transitions.
  */
 
 class Player {
     constructor(x, y) {
         this.x = x;
         this.y = y;
+        this.homeX = x; // Screen position the runner drifts back to after being carried
+        this.previousX = x; // Position before the latest simulation tick, for interpolated drawing
+        this.previousY = y;
         this.width = 32;
         this.height = 48;
         
@@ -14,6 +19,7 @@ class Player {
         this.velocityX = 0;
         this.velocityY = 0;
         this.grounded = false;
+        this.platform = null; // Moving platform currently standing on
         
         // Jump mechanics
         this.jumpPower = -12;
@@ -21,47 +27,122 @@ class Player {
         this.maxJumpHoldTime = 150; // ms
         this.jumpHoldTimer = 0;
         this.isJumping = false;
+        this.airJumps = 0; // Extra jumps left while airborne (double jump power-up)
+        this.airJumpPower = -10;
         
-        // Animation
-        this.animationFrame = 0;
-        this.animationTimer = 0;
-        this.animationSpeed = 80; // ms per frame
+        // Jump forgiveness - both in ms of simulation time, so frame rate doesn't matter
+        this.coyoteTime = 100;     // After running off a ledge a jump still counts as grounded
+        this.jumpBufferTime = 120; // Before landing a press is remembered and fires on touchdown
+        this.coyoteTimer = 0;
+        this.jumpBufferTimer = 0;
+        
+        // Slide (second input) - ducks under overhead obstacles, fast-falls in the air
+        this.sliding = false;
+        this.slideHeld = false;
+        this.slideTimer = 0;
+        this.minSlideTime = 350;  // ms a tap slides for
+        this.maxSlideTime = 900;  // ms a held slide lasts
+        this.slideHeight = 24;    // Body height while sliding or rolling
+        this.fastFallSpeed = 13;
+        
+        // Roll - a slide pressed just before a big drop lands turns into a roll
+        this.rollDuration = 450;  // ms
+        this.rollWindow = 180;    // ms before touchdown a press still counts
+        this.rollWindowTimer = 0;
+        this.bigDropHeight = 200; // px fallen from the apex that makes a hard landing
+        this.apexY = y;           // Highest point since leaving the ground
+        
+        // Landing - a short crouch on touchdown (a roll lasts rollDuration instead)
+        this.landingDuration = 120; // ms
+        this.lastLanding = null;    // { fallHeight, hard, rolled } of the latest touchdown
+        
+        // Stumble - lost footing after a hard landing or a bump, the world slows with it
+        this.stumbleDuration = 500; // ms
+        
+        // Animation (clips per state are in PlayerStates.clips)
         this.frames = null;
+        this.skin = Skins.defaultSkin; // Character skin id (see js/skins.js)
+        
+        // State - running, jumpRise, apex, falling, landing, stumbling or dead
+        this.state = new StateMachine();
+        this.apexSpeed = 1.5; // Vertical speed under which a jump counts as at its apex
+        this.invulnerableTimer = 0; // ms of grace after a shield absorbs a hit
         
-        // State
-        this.alive = true;
+        // Power-up effects
+        this.effects = new PowerUpEffects();
         
         // Trail effect
         this.trail = [];
         this.maxTrailLength = 6;
+        this.trailInterval = 16.67; // ms between trail points, whatever the tick rate
+        this.trailTimer = 0;
     }
 
     /**
      * Initialize player sprites
      */
     init(assets) {
-        this.frames = assets.generatePlayerFrames(this.width, this.height);
+        this.frames = assets.generatePlayerFrames(this.width, this.height, this.skin);
+    }
+
+    /**
+     * Switch character skin and regenerate the sprites for it
+     */
+    setSkin(id, assets) {
+        this.skin = Skins.resolve(id);
+        this.init(assets);
     }
 
     /**
      * Handle jump input
+     * Counts as grounded for coyoteTime after leaving a ledge; a press that
+     * can't jump at all is buffered for the next landing
      */
-    jump(audioSystem) {
-        if (this.grounded) {
+    jump() {
+        if (this.state.is('dead')) return;
+        
+        if (this.grounded || this.coyoteTimer > 0) {
             this.velocityY = this.jumpPower;
+            this.sliding = false;
+            this.coyoteTimer = 0;
+            this.jumpBufferTimer = 0;
+            
+            // Leaving a moving platform carries its momentum into the jump
+            if (this.platform) {
+                this.velocityX = this.platform.velocityX;
+                this.velocityY += Math.min(0, this.platform.velocityY);
+                this.platform = null;
+            }
             this.grounded = false;
             this.isJumping = true;
             this.jumpHoldTimer = 0;
-            if (audioSystem) audioSystem.play('jump');
+            this.state.transition('jumpRise', { cause: 'jump' });
+        } else if (this.airJumps > 0 && this.effects.has('doubleJump')) {
+            this.velocityY = this.airJumpPower;
+            this.airJumps--;
+            this.isJumping = true;
+            this.jumpHoldTimer = 0;
+            this.state.transition('jumpRise', { cause: 'airJump' });
+        } else {
+            this.jumpBufferTimer = this.jumpBufferTime;
         }
     }
 
+    /**
+     * Fire a jump buffered before landing, once back on the ground
+     */
+    takeBufferedJump() {
+        if (!this.grounded || this.jumpBufferTimer <= 0) return false;
+        this.jump();
+        return true;
+    }
+
     /**
      * Handle jump hold (variable height)
      */
     holdJump(deltaTime) {
         if (this.isJumping && this.jumpHoldTimer < this.maxJumpHoldTime && this.velocityY < 0) {
-            this.velocityY += this.jumpHoldPower;
+            this.velocityY += this.jumpHoldPower * (deltaTime / 16.67);
             this.jumpHoldTimer += deltaTime;
         }
     }
@@ -73,37 +154,140 @@ class Player {
         this.isJumping = false;
     }
 
+    /**
+     * Handle slide input
+     * Slides along the roof when grounded, fast-falls when airborne
+     * (and, timed just before a big drop lands, rolls out of it)
+     */
+    slide(audioSystem) {
+        this.slideHeld = true;
+        
+        if (this.grounded) {
+            if (this.sliding || this.isRolling()) return;
+            this.sliding = true;
+            this.slideTimer = 0;
+            if (audioSystem) audioSystem.play('slide');
+            return;
+        }
+        
+        this.velocityY = Math.max(this.velocityY, this.fastFallSpeed);
+        this.isJumping = false;
+        this.rollWindowTimer = this.rollWindow;
+    }
+
+    /**
+     * Release slide - the slide ends once it has run its minimum time
+     */
+    releaseSlide() {
+        this.slideHeld = false;
+    }
+
+    /**
+     * Lose footing for a moment (cause is 'landing' or 'bump')
+     * Only possible on the ground, and a roll rides it out. Game pairs this
+     * with a speed penalty on the world. Returns whether the player stumbled.
+     */
+    stumble(cause = 'bump') {
+        if (this.isRolling() || !this.state.can('stumbling')) return false;
+        this.sliding = false;
+        return this.state.transition('stumbling', { cause: cause });
+    }
+
+    /**
+     * Whether the player is rolling out of a big drop
+     */
+    isRolling() {
+        return this.state.is('landing') && this.lastLanding.rolled;
+    }
+
+    /**
+     * Whether the body is tucked low (sliding or rolling)
+     */
+    isLow() {
+        return this.sliding || this.isRolling();
+    }
+
+    /**
+     * Touch down on a roof - works out whether the landing was hard and
+     * whether a roll saved it, and moves to landing (then stumbling if hard)
+     */
+    touchDown() {
+        const fallHeight = this.y - this.apexY;
+        const hard = fallHeight >= this.bigDropHeight;
+        const rolled = hard && this.rollWindowTimer > 0;
+        this.rollWindowTimer = 0;
+        
+        // Still settling onto the first roof of a run
+        if (!PlayerStates.isAirborne(this.state.current)) return;
+        
+        this.lastLanding = { fallHeight, hard, rolled };
+        this.sliding = !hard && this.slideHeld;
+        this.slideTimer = 0;
+        this.state.transition('landing', this.lastLanding);
+        
+        if (hard && !rolled) {
+            this.stumble('landing');
+        }
+    }
+
     /**
      * Update player state
      */
     update(deltaTime, groundY) {
         const previousY = this.y;
+        this.previousX = this.x;
+        this.previousY = this.y;
+        const wasGrounded = this.grounded;
         
-        // Apply gravity
+        // Apply gravity, and wind while airborne
         physics.applyGravity(this, deltaTime / 16.67);
+        if (!this.grounded) {
+            physics.applyWind(this, deltaTime / 16.67);
+        }
         
         // Update position
         this.y += this.velocityY * (deltaTime / 16.67);
+        this.x += this.velocityX * (deltaTime / 16.67);
         
         // Ground collision
         if (physics.resolveGroundCollision(this, groundY)) {
             this.grounded = true;
             this.isJumping = false;
+            this.airJumps = 1;
+            if (!wasGrounded) this.touchDown();
         } else {
             this.grounded = false;
         }
         
-        // Update animation (faster when running)
-        this.animationTimer += deltaTime;
-        if (this.animationTimer >= this.animationSpeed) {
-            this.animationTimer = 0;
-            this.animationFrame = (this.animationFrame + 1) % 4;
+        // Coyote window refills on the ground and drains once off the ledge
+        if (this.grounded) {
+            this.coyoteTimer = this.coyoteTime;
+        } else {
+            this.coyoteTimer = Math.max(0, this.coyoteTimer - deltaTime);
+        }
+        this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - deltaTime);
+        
+        this.updateSlide(deltaTime);
+        this.updateState(deltaTime);
+        
+        // Back on solid ground - shed carried momentum and drift home
+        if (this.grounded && !this.platform) {
+            this.velocityX = 0;
+            this.x += (this.homeX - this.x) * Math.min(1, 0.05 * (deltaTime / 16.67));
+        }
+        
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer -= deltaTime;
         }
         
         // Update trail
-        this.trail.unshift({ x: this.x, y: this.y, alpha: 1 });
-        if (this.trail.length > this.maxTrailLength) {
-            this.trail.pop();
+        this.trailTimer -= deltaTime;
+        if (this.trailTimer <= 0) {
+            this.trailTimer += this.trailInterval;
+            this.trail.unshift({ x: this.x, y: this.y, alpha: 1 });
+            if (this.trail.length > this.maxTrailLength) {
+                this.trail.pop();
+            }
         }
         
         // Fade trail
@@ -114,38 +298,142 @@ class Player {
         return previousY;
     }
 
+    /**
+     * Advance the slide timer, and track the jump apex for landings
+     */
+    updateSlide(deltaTime) {
+        if (!this.grounded) {
+            this.apexY = Math.min(this.apexY, this.y);
+            this.sliding = false;
+            this.rollWindowTimer = Math.max(0, this.rollWindowTimer - deltaTime);
+            return;
+        }
+        this.apexY = this.y;
+        
+        if (this.sliding) {
+            this.slideTimer += deltaTime;
+            if ((!this.slideHeld && this.slideTimer >= this.minSlideTime) || this.slideTimer >= this.maxSlideTime) {
+                this.sliding = false;
+            }
+        }
+    }
+
+    /**
+     * Move between states as the jump arc and timers play out
+     * (jumps, touchdowns, stumbles and death are transitioned where they happen)
+     */
+    updateState(deltaTime) {
+        this.state.update(deltaTime);
+        const state = this.state.current;
+        const time = this.state.time;
+        if (state === 'dead') return;
+        
+        if (!this.grounded) {
+            if (!PlayerStates.isAirborne(state)) {
+                // Left the ground without jumping - ran off an edge or the roof went
+                this.state.transition('falling', { cause: 'ledge' });
+            } else if (state === 'jumpRise' && this.velocityY >= -this.apexSpeed) {
+                this.state.transition(this.velocityY > this.apexSpeed ? 'falling' : 'apex');
+            } else if (state === 'apex' && this.velocityY > this.apexSpeed) {
+                this.state.transition('falling');
+            }
+            return;
+        }
+        
+        if (state === 'landing') {
+            const duration = this.lastLanding.rolled ? this.rollDuration : this.landingDuration;
+            if (time >= duration) this.state.transition('running');
+        } else if (state === 'stumbling' && time >= this.stumbleDuration) {
+            this.state.transition('running');
+        }
+    }
+
     /**
      * Handle landing on a building
      */
-    landOnBuilding(rooftopY, audioSystem) {
+    landOnBuilding(rooftopY) {
         this.y = rooftopY - this.height;
         this.velocityY = 0;
         this.grounded = true;
         this.isJumping = false;
-        if (audioSystem) audioSystem.play('land');
+        this.airJumps = 1;
+        this.touchDown();
+        this.apexY = this.y;
     }
 
     /**
-     * Kill the player
+     * Absorb a fatal hit with the shield
+     * Pops the player up and grants a short grace period
      */
-    die() {
-        this.alive = false;
+    absorbHit(audioSystem) {
+        if (this.invulnerableTimer > 0) return true;
+        if (!this.effects.consume('shield')) return false;
+        
+        this.velocityY = this.jumpPower * 0.6;
+        this.grounded = false;
+        this.isJumping = false;
+        this.coyoteTimer = 0;
+        this.sliding = false;
+        this.invulnerableTimer = 800;
+        this.state.transition('jumpRise', { cause: 'bounce' });
+        if (audioSystem) audioSystem.play('powerup');
         return true;
     }
 
+    /**
+     * Kill the player (cause is a DeathCauses id, passed on with the dead event)
+     */
+    die(cause) {
+        if (!this.state.is('dead')) {
+            this.state.transition('dead', { cause: cause });
+        }
+        return true;
+    }
+
+    /**
+     * Whether the player is still in the run
+     */
+    isAlive() {
+        return !this.state.is('dead');
+    }
+
     /**
      * Reset player state
      */
     reset(x, y) {
         this.x = x;
         this.y = y;
+        this.homeX = x;
+        this.previousX = x;
+        this.previousY = y;
+        this.platform = null;
         this.velocityX = 0;
         this.velocityY = 0;
         this.grounded = false;
-        this.alive = true;
+        this.state.reset();
         this.isJumping = false;
+        this.airJumps = 0;
+        this.coyoteTimer = 0;
+        this.jumpBufferTimer = 0;
+        this.sliding = false;
+        this.slideHeld = false;
+        this.rollWindowTimer = 0;
+        this.apexY = y;
+        this.lastLanding = null;
+        this.invulnerableTimer = 0;
+        this.effects.clear();
         this.trail = [];
-        this.animationFrame = 0;
+        this.trailTimer = 0;
+    }
+
+    /**
+     * Where to draw the player, alpha of the way from the previous tick to the latest
+     */
+    getRenderPosition(alpha = 1) {
+        return {
+            x: Utils.lerp(this.previousX, this.x, alpha),
+            y: Utils.lerp(this.previousY, this.y, alpha)
+        };
     }
 
     /**
@@ -153,22 +441,40 @@ class Player {
      */
     getCurrentFrame() {
         if (!this.frames) return null;
-        
-        if (!this.grounded) {
-            return this.frames[4]; // Jump frame
+        return this.frames[this.getCurrentFrameIndex()];
+    }
+
+    /**
+     * Index of the current sprite frame
+     * The state's clip, unless sliding or rolling (see PlayerStates.clips)
+     */
+    getCurrentFrameIndex() {
+        let clip = this.state.current;
+        let duration = 1;
+        if (this.isRolling()) {
+            clip = 'roll';
+            duration = this.rollDuration;
+        } else if (this.sliding) {
+            clip = 'slide';
+        } else if (clip === 'stumbling') {
+            duration = this.stumbleDuration;
+        } else if (!PlayerStates.clips[clip]) {
+            clip = 'falling';
         }
-        return this.frames[this.animationFrame];
+        return PlayerStates.getClipFrame(clip, this.state.time, duration);
     }
 
     /**
      * Get hitbox for collision
+     * Sliding and rolling keep only the lower part of the body
      */
     getHitbox() {
+        const height = this.isLow() ? this.slideHeight : this.height;
         return {
             x: this.x + 4,
-            y: this.y + 4,
+            y: this.y + this.height - height + 4,
             width: this.width - 8,
-            height: this.height - 8
+            height: height - 8
         };
     }
 }
@@ -0,0 +1,124 @@
+/**
+ * Power-ups for Cyber Runner
+ * Timed effects granted by power-up pickups
+ */
+
+const PowerUps = {
+    /**
+     * Power-up types
+     * stacking decides what collecting one that is already active does:
+     *   refresh - timer resets to the full duration
+     *   extend  - duration is added on top, up to maxDuration
+     */
+    types: {
+        shield: {
+            label: 'SHIELD',
+            color: '#00ff88',
+            duration: 12000,
+            stacking: 'refresh'
+        },
+        doubleJump: {
+            label: 'DOUBLE JUMP',
+            color: '#ffff00',
+            duration: 10000,
+            maxDuration: 20000,
+            stacking: 'extend'
+        },
+        magnet: {
+            label: 'MAGNET',
+            color: '#ff00ff',
+            duration: 8000,
+            maxDuration: 16000,
+            stacking: 'extend',
+            radius: 160,
+            pullSpeed: 10     // px per 60Hz frame (scaled to the tick)
+        },
+        slowMotion: {
+            label: 'SLOW-MO',
+            color: '#8888ff',
+            duration: 4000,
+            stacking: 'refresh',
+            timeScale: 0.6
+        }
+    },
+
+    /**
+     * Pick a random power-up type
+     */
+    pickType(rng = Math.random) {
+        return Utils.randomChoice(Object.keys(this.types), rng);
+    }
+};
+
+/**
+ * Active power-up effects on the player
+ * Timers count down in real time, so slow motion does not prolong itself
+ */
+class PowerUpEffects {
+    constructor() {
+        this.active = {}; // type -> remaining ms
+    }
+
+    /**
+     * Activate a power-up, following its stacking rule
+     */
+    apply(type) {
+        const def = PowerUps.types[type];
+        const remaining = this.active[type] || 0;
+        
+        if (remaining > 0 && def.stacking === 'extend') {
+            this.active[type] = Math.min(remaining + def.duration, def.maxDuration);
+        } else {
+            this.active[type] = def.duration;
+        }
+    }
+
+    /**
+     * Tick timers, returns the types that just expired
+     */
+    update(deltaTime) {
+        const expired = [];
+        for (const type of Object.keys(this.active)) {
+            this.active[type] -= deltaTime;
+            if (this.active[type] <= 0) {
+                delete this.active[type];
+                expired.push(type);
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Check if an effect is active
+     */
+    has(type) {
+        return this.active[type] > 0;
+    }
+
+    /**
+     * Use up an effect immediately (e.g. a shield absorbing a hit)
+     */
+    consume(type) {
+        if (!this.has(type)) return false;
+        delete this.active[type];
+        return true;
+    }
+
+    /**
+     * Simulation speed multiplier from time dilation effects
+     */
+    getTimeScale() {
+        return this.has('slowMotion') ? PowerUps.types.slowMotion.timeScale : 1;
+    }
+
+    /**
+     * List active effects with their remaining time
+     */
+    list() {
+        return Object.keys(this.active).map(type => ({ type, remaining: this.active[type] }));
+    }
+
+    clear() {
+        this.active = {};
+    }
+}
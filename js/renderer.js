@@ -25,6 +25,10 @@ class Renderer {
         
         // Assets reference
         this.assets = null;
+        
+        // Squash on landing ({ strength 0-1, start }), set from player state events
+        this.landingSquash = null;
+        this.landingSquashDuration = 160; // ms
     }
 
     /**
@@ -34,6 +38,19 @@ class Renderer {
         this.assets = assets;
     }
 
+    /**
+     * Subscribe to the player's state changes - landings squash the sprite
+     * in proportion to the drop
+     */
+    followPlayer(player) {
+        player.state.on('landing', event => {
+            this.landingSquash = {
+                strength: Utils.clamp(event.fallHeight / player.bigDropHeight, 0.2, 1),
+                start: Date.now()
+            };
+        });
+    }
+
     /**
      * Resize canvas
      */
@@ -45,22 +62,51 @@ class Renderer {
     }
 
     /**
-     * Clear the canvas with gradient sky
+     * Clear the canvas with the district's gradient sky
      */
-    clear() {
+    clear(district) {
+        const sky = Districts.mixColor(district, 'sky');
         const gradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
-        gradient.addColorStop(0, '#05050f');
-        gradient.addColorStop(0.4, '#0a0a1a');
-        gradient.addColorStop(0.7, '#0f0a20');
-        gradient.addColorStop(1, '#1a0a2e');
+        gradient.addColorStop(0, sky[0]);
+        gradient.addColorStop(0.4, sky[1]);
+        gradient.addColorStop(0.7, sky[2]);
+        gradient.addColorStop(1, sky[3]);
         this.ctx.fillStyle = gradient;
         this.ctx.fillRect(0, 0, this.width, this.height);
     }
 
+    /**
+     * Lightning flash and bolt, drawn behind the skyline
+     */
+    renderLightning(weather) {
+        if (weather.flash <= 0) return;
+        
+        this.ctx.fillStyle = `rgba(180, 200, 255, ${weather.flash * 0.35})`;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        if (weather.bolt) {
+            this.ctx.strokeStyle = `rgba(230, 240, 255, ${weather.flash})`;
+            this.ctx.shadowColor = '#aaccff';
+            this.ctx.shadowBlur = 15;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            weather.bolt.forEach((point, i) => {
+                const x = point.x * this.width;
+                const y = point.y * this.height * 0.6;
+                if (i === 0) this.ctx.moveTo(x, y);
+                else this.ctx.lineTo(x, y);
+            });
+            this.ctx.stroke();
+            this.ctx.shadowBlur = 0;
+        }
+    }
+
     /**
      * Render parallax background layers
      */
     renderBackground(world) {
+        const flash = world.weather.flash;
+        
         for (let i = 0; i < world.backgroundLayers.length; i++) {
             const layer = world.backgroundLayers[i];
             const alpha = 0.4 + i * 0.2;
@@ -70,11 +116,14 @@ class Renderer {
                 
                 // Generate stable window pattern for background buildings
                 if (!building.windowPattern) {
+                    const rng = Utils.createSeededRandom(building.seed);
                     building.windowPattern = [];
                     const cols = Math.floor((building.width - 10) / 12);
                     const rows = Math.floor(building.height / 12);
                     for (let j = 0; j < rows * cols; j++) {
-                        building.windowPattern.push(Math.random() > 0.7 ? (Math.random() > 0.5 ? '#00ffff' : '#ff00ff') : null);
+                        building.windowPattern.push(
+                            rng() > 0.7 ? Districts.pickColor(building.district, 'skylineWindows', rng) : null
+                        );
                     }
                 }
                 
@@ -85,8 +134,9 @@ class Renderer {
                     building.x, layer.y - building.height,
                     building.x, layer.y + 100
                 );
-                gradient.addColorStop(0, '#2a2a4e');
-                gradient.addColorStop(1, '#151525');
+                const colors = Districts.mixColor(building.district, 'skyline');
+                gradient.addColorStop(0, colors[0]);
+                gradient.addColorStop(1, colors[1]);
                 
                 this.ctx.fillStyle = gradient;
                 this.ctx.fillRect(
@@ -96,6 +146,12 @@ class Renderer {
                     building.height + 100
                 );
                 
+                // Lit up by lightning
+                if (flash > 0) {
+                    this.ctx.fillStyle = `rgba(200, 215, 255, ${flash * 0.4})`;
+                    this.ctx.fillRect(building.x, layer.y - building.height, building.width, building.height + 100);
+                }
+                
                 // Windows (stable pattern)
                 const windowSize = 4;
                 const windowGap = 8;
@@ -123,15 +179,17 @@ class Renderer {
 
     /**
      * Render rain effect
+     * Only the first count drops are falling, slanted by the wind
      */
-    renderRain(raindrops) {
+    renderRain(raindrops, count, drift) {
         this.ctx.strokeStyle = 'rgba(150, 180, 220, 0.4)';
         this.ctx.lineWidth = 1;
         
-        for (const drop of raindrops) {
+        for (let i = 0; i < count && i < raindrops.length; i++) {
+            const drop = raindrops[i];
             this.ctx.beginPath();
             this.ctx.moveTo(drop.x, drop.y);
-            this.ctx.lineTo(drop.x - 4, drop.y + drop.length);
+            this.ctx.lineTo(drop.x - drift * drop.length / drop.speed, drop.y + drop.length);
             this.ctx.stroke();
         }
     }
@@ -144,14 +202,21 @@ class Renderer {
             if (!building.active) continue;
             if (building.x > this.width + 50 || building.x + building.width < -50) continue;
             
-            // Building body
+            // Collapsing buildings shake once triggered
+            this.ctx.save();
+            if (building.variant === 'collapsing' && building.triggered) {
+                this.ctx.translate(Utils.random(-1.5, 1.5), 0);
+            }
+            
+            // Building body in its district's colors
+            const body = Districts.mixColor(building.district, 'building');
             const gradient = this.ctx.createLinearGradient(
                 building.x, building.y,
                 building.x, this.height
             );
-            gradient.addColorStop(0, '#1a1a2e');
-            gradient.addColorStop(0.1, '#12121f');
-            gradient.addColorStop(1, '#0a0a12');
+            gradient.addColorStop(0, body[0]);
+            gradient.addColorStop(0.1, body[1]);
+            gradient.addColorStop(1, body[2]);
             
             this.ctx.fillStyle = gradient;
             this.ctx.fillRect(building.x, building.y, building.width, building.height);
@@ -160,9 +225,12 @@ class Renderer {
             this.ctx.fillStyle = '#252535';
             this.ctx.fillRect(building.x, building.y, building.width, 8);
             
-            // Rooftop edge glow
-            this.ctx.strokeStyle = this.colors.neonCyan;
-            this.ctx.shadowColor = this.colors.neonCyan;
+            // Rooftop edge glow (unstable roofs glow amber)
+            const edgeColor = building.variant === 'collapsing' || building.variant === 'crumbling'
+                ? '#ffaa00'
+                : Districts.mixColor(building.district, 'edge');
+            this.ctx.strokeStyle = edgeColor;
+            this.ctx.shadowColor = edgeColor;
             this.ctx.shadowBlur = 8;
             this.ctx.lineWidth = 2;
             this.ctx.beginPath();
@@ -174,25 +242,160 @@ class Renderer {
             // Building windows
             this.renderBuildingWindows(building);
             
+            // Glass band / interior run
+            if (building.interior) {
+                this.renderInterior(building);
+            }
+            
             // Rooftop details
             this.renderRooftopDetails(building);
+            
+            // Structural damage
+            if (building.variant === 'collapsing') {
+                this.renderCollapseCracks(building);
+            } else if (building.variant === 'crumbling') {
+                this.renderCrumblingEdge(building);
+            }
+            
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Glass band at running height - an interior corridor once smashed
+     */
+    renderInterior(building) {
+        const top = building.y + 8; // Below the rooftop slab
+        const height = building.interior.depth - 8;
+        
+        if (building.interior.broken) {
+            // Lit corridor
+            this.ctx.fillStyle = '#0d0d18';
+            this.ctx.fillRect(building.x, top, building.width, height);
+            
+            // Ceiling strip lights
+            this.ctx.fillStyle = '#ffffcc';
+            this.ctx.shadowColor = '#ffffcc';
+            this.ctx.shadowBlur = 8;
+            for (let x = building.x + 20; x < building.x + building.width - 20; x += 60) {
+                this.ctx.fillRect(x, top + 2, 24, 2);
+            }
+            this.ctx.shadowBlur = 0;
+            
+            // Floor
+            this.ctx.fillStyle = '#252535';
+            this.ctx.fillRect(building.x, top + height - 2, building.width, 4);
+            
+            // Jagged remains of the glass
+            this.ctx.strokeStyle = 'rgba(170, 255, 255, 0.7)';
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(building.x, top);
+            this.ctx.lineTo(building.x + 6, top + 8);
+            this.ctx.lineTo(building.x + 2, top + 14);
+            this.ctx.moveTo(building.x, top + height);
+            this.ctx.lineTo(building.x + 5, top + height - 10);
+            this.ctx.stroke();
+        } else {
+            // Intact curtain wall
+            const glass = this.ctx.createLinearGradient(building.x, top, building.x, top + height);
+            glass.addColorStop(0, 'rgba(0, 255, 255, 0.35)');
+            glass.addColorStop(1, 'rgba(0, 120, 160, 0.2)');
+            this.ctx.fillStyle = '#0a1a24';
+            this.ctx.fillRect(building.x, top, building.width, height);
+            this.ctx.fillStyle = glass;
+            this.ctx.fillRect(building.x, top, building.width, height);
+            
+            // Mullions
+            this.ctx.fillStyle = '#1a1a2e';
+            for (let x = building.x; x < building.x + building.width; x += 30) {
+                this.ctx.fillRect(x, top, 2, height);
+            }
+            
+            // Reflection streaks
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+            this.ctx.lineWidth = 3;
+            this.ctx.beginPath();
+            for (let x = building.x + 10; x < building.x + building.width - 20; x += 90) {
+                this.ctx.moveTo(x, top + height);
+                this.ctx.lineTo(x + 20, top);
+            }
+            this.ctx.stroke();
+        }
+        
+        // Closed far window until the player smashes out
+        if (!building.interior.exitBroken) {
+            this.ctx.fillStyle = 'rgba(0, 255, 255, 0.3)';
+            this.ctx.fillRect(building.x + building.width - 3, top, 3, height);
         }
     }
 
+    /**
+     * Cracks running down a building that is about to collapse
+     */
+    renderCollapseCracks(building) {
+        const rng = Utils.createSeededRandom(building.seed);
+        this.ctx.strokeStyle = building.triggered ? '#ffaa00' : '#3a3a4e';
+        this.ctx.lineWidth = 1.5;
+        this.ctx.beginPath();
+        for (let i = 0; i < 3; i++) {
+            let x = building.x + building.width * (0.2 + i * 0.3);
+            let y = building.y + 2;
+            this.ctx.moveTo(x, y);
+            for (let j = 0; j < 6; j++) {
+                x += Utils.random(-8, 8, rng);
+                y += Utils.random(8, 18, rng);
+                this.ctx.lineTo(x, y);
+            }
+        }
+        this.ctx.stroke();
+    }
+
+    /**
+     * Broken, jagged far edge of a crumbling roof
+     */
+    renderCrumblingEdge(building) {
+        const edgeX = building.x + building.width;
+        
+        // Jagged teeth along the broken edge
+        this.ctx.fillStyle = '#252535';
+        this.ctx.beginPath();
+        this.ctx.moveTo(edgeX, building.y);
+        for (let i = 0; i < 6; i++) {
+            this.ctx.lineTo(edgeX + (i % 2 === 0 ? 4 : -2), building.y + i * 6 + 3);
+        }
+        this.ctx.lineTo(edgeX, building.y + 40);
+        this.ctx.closePath();
+        this.ctx.fill();
+        
+        // Hairline cracks spreading back from the edge
+        this.ctx.strokeStyle = '#ffaa00';
+        this.ctx.globalAlpha = 0.5;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(edgeX, building.y + 4);
+        this.ctx.lineTo(edgeX - 25, building.y + 10);
+        this.ctx.lineTo(edgeX - 40, building.y + 6);
+        this.ctx.moveTo(edgeX, building.y + 20);
+        this.ctx.lineTo(edgeX - 18, building.y + 28);
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 1;
+    }
+
     /**
      * Render windows on a building
      */
     renderBuildingWindows(building) {
-        // Generate stable window pattern based on building position
+        // Generate stable window pattern from the building's seed
         if (!building.windowPattern) {
+            const rng = Utils.createSeededRandom(building.seed);
             building.windowPattern = [];
-            const cols = Math.floor((building.width - 20) / 15);
+            const cols = Math.floor((building.originalWidth - 20) / 15);
             const rows = 15;
             for (let i = 0; i < rows * cols; i++) {
-                const rand = Math.random();
-                if (rand > 0.5) {
-                    const colors = ['#00ffff', '#ff00ff', '#ffff00', '#1a2a3a'];
-                    building.windowPattern.push(colors[Math.floor(Math.random() * colors.length)]);
+                const rand = rng();
+                if (rand > 0.5 && rng() > 0.25) {
+                    building.windowPattern.push(Districts.pickColor(building.district, 'windows', rng));
                 } else {
                     building.windowPattern.push('#1a2a3a');
                 }
@@ -204,7 +407,8 @@ class Renderer {
         const windowGapX = 15;
         const windowGapY = 20;
         
-        const cols = Math.floor((building.width - 20) / windowGapX);
+        // Lay windows out on the original width so crumbling doesn't reshuffle them
+        const cols = Math.floor((building.originalWidth - 20) / windowGapX);
         const rows = Math.min(Math.floor((this.height - building.y - 30) / windowGapY), 15);
         
         let idx = 0;
@@ -212,6 +416,10 @@ class Renderer {
             for (let col = 0; col < cols; col++) {
                 const x = building.x + 10 + col * windowGapX;
                 const y = building.y + 20 + row * windowGapY;
+                if (x + windowWidth > building.x + building.width - 4) {
+                    idx++;
+                    continue;
+                }
                 
                 const windowColor = building.windowPattern[idx % building.windowPattern.length];
                 this.ctx.fillStyle = windowColor;
@@ -231,24 +439,13 @@ class Renderer {
     }
 
     /**
-     * Render rooftop details (AC units, antennas, etc)
+     * Render rooftop details (antennas, etc)
+     * Decoration only - collidable obstacles are drawn by renderObstacles
      */
     renderRooftopDetails(building) {
         // Only add details to wider buildings
         if (building.width < 150) return;
         
-        // AC units
-        if (building.style === 0 || building.style === 2) {
-            this.ctx.fillStyle = '#1a1a25';
-            const acWidth = 25;
-            const acHeight = 15;
-            this.ctx.fillRect(building.x + 15, building.y - acHeight + 2, acWidth, acHeight);
-            
-            if (building.width > 200) {
-                this.ctx.fillRect(building.x + building.width - 40, building.y - acHeight + 4, acWidth, acHeight - 2);
-            }
-        }
-        
         // Antenna
         if (building.style === 1 || building.style === 2) {
             this.ctx.fillStyle = '#333';
@@ -268,16 +465,543 @@ class Renderer {
     }
 
     /**
-     * Render player
+     * Render moving platforms with their rails, rotors or cables
      */
-    renderPlayer(player) {
-        if (!player.alive) return;
+    renderPlatforms(platforms) {
+        for (const platform of platforms) {
+            if (platform.x > this.width + 50 || platform.x + platform.width < -50) continue;
+            
+            const cx = platform.x + platform.width / 2;
+            
+            switch (platform.type) {
+                case 'lift': {
+                    // Guide rails up out of the screen
+                    this.ctx.fillStyle = '#2a2a38';
+                    this.ctx.fillRect(platform.x + 4, 0, 3, platform.y);
+                    this.ctx.fillRect(platform.x + platform.width - 7, 0, 3, platform.y);
+                    
+                    // Cage below the deck
+                    this.ctx.strokeStyle = '#3a3a4e';
+                    this.ctx.lineWidth = 1;
+                    this.ctx.strokeRect(platform.x + 2, platform.y, platform.width - 4, 30);
+                    break;
+                }
+                case 'drone': {
+                    // Rotors
+                    const spin = Math.abs(Math.sin(Date.now() / 30));
+                    this.ctx.fillStyle = '#555566';
+                    this.ctx.fillRect(platform.x - 6, platform.y + 4, 10, 4);
+                    this.ctx.fillRect(platform.x + platform.width - 4, platform.y + 4, 10, 4);
+                    this.ctx.fillStyle = 'rgba(200, 200, 255, 0.5)';
+                    this.ctx.fillRect(platform.x - 12 + (1 - spin) * 11, platform.y + 2, 22 * spin, 2);
+                    this.ctx.fillRect(platform.x + platform.width - 10 + (1 - spin) * 11, platform.y + 2, 22 * spin, 2);
+                    
+                    // Thruster glow
+                    const glow = this.ctx.createLinearGradient(0, platform.y + platform.height, 0, platform.y + 40);
+                    glow.addColorStop(0, 'rgba(0, 255, 255, 0.5)');
+                    glow.addColorStop(1, 'rgba(0, 255, 255, 0)');
+                    this.ctx.fillStyle = glow;
+                    this.ctx.fillRect(cx - 15, platform.y + platform.height, 30, 30);
+                    break;
+                }
+                case 'crane': {
+                    // Cable to the pivot above
+                    const def = MovingPlatforms.types.crane;
+                    this.ctx.strokeStyle = '#555566';
+                    this.ctx.lineWidth = 2;
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(platform.anchorX, platform.anchorY - def.cableLength);
+                    this.ctx.lineTo(cx, platform.y);
+                    this.ctx.stroke();
+                    break;
+                }
+            }
+            
+            // Deck
+            this.ctx.fillStyle = '#252535';
+            this.ctx.fillRect(platform.x, platform.y, platform.width, platform.height);
+            this.ctx.strokeStyle = '#ffff00';
+            this.ctx.shadowColor = '#ffff00';
+            this.ctx.shadowBlur = 6;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(platform.x, platform.y + 1);
+            this.ctx.lineTo(platform.x + platform.width, platform.y + 1);
+            this.ctx.stroke();
+            this.ctx.shadowBlur = 0;
+        }
+    }
+
+    /**
+     * Render rooftop obstacles
+     */
+    renderObstacles(obstacles) {
+        for (const obstacle of obstacles) {
+            if (obstacle.x > this.width + 50 || obstacle.x + obstacle.width < -50) continue;
+            
+            // Billboard support pole (a snapped stub once it drops)
+            if (obstacle.type === 'billboard') {
+                const poleTop = obstacle.hanging ? obstacle.y + obstacle.height : obstacle.building.y - 30;
+                this.ctx.fillStyle = '#333344';
+                this.ctx.fillRect(obstacle.x + obstacle.width / 2 - 2, poleTop, 4, obstacle.building.y - poleTop);
+            }
+            
+            // Pipe posts down to the roof (scenery, not solid)
+            if (obstacle.type === 'pipe' && !obstacle.knocked) {
+                this.ctx.fillStyle = '#333344';
+                this.ctx.fillRect(obstacle.x, obstacle.y, 4, obstacle.building.y - obstacle.y);
+                this.ctx.fillRect(obstacle.x + obstacle.width - 4, obstacle.y, 4, obstacle.building.y - obstacle.y);
+            }
+            
+            this.ctx.save();
+            this.ctx.translate(obstacle.x + obstacle.width / 2, obstacle.y + obstacle.height / 2);
+            this.ctx.rotate(obstacle.rotation);
+            
+            const w = obstacle.width;
+            const h = obstacle.height;
+            
+            switch (obstacle.type) {
+                case 'crate':
+                    this.renderCrate(w, h);
+                    break;
+                case 'billboard':
+                    this.renderBillboard(w, h, obstacle.hanging);
+                    break;
+                case 'debris':
+                    this.renderDebris(w, h);
+                    break;
+                case 'acUnit':
+                    this.renderACUnit(w, h);
+                    break;
+                case 'barrier':
+                    this.renderBarrier(w, h);
+                    break;
+                case 'wreck':
+                    this.renderWreck(w, h);
+                    break;
+                case 'pipe':
+                    this.renderPipe(w, h);
+                    break;
+            }
+            
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * Crate - breakable box (drawn centered on origin)
+     */
+    renderCrate(w, h) {
+        this.ctx.fillStyle = '#3a2e1e';
+        this.ctx.fillRect(-w / 2, -h / 2, w, h);
+        
+        this.ctx.strokeStyle = '#ffaa00';
+        this.ctx.shadowColor = '#ffaa00';
+        this.ctx.shadowBlur = 4;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeRect(-w / 2 + 1, -h / 2 + 1, w - 2, h - 2);
+        this.ctx.beginPath();
+        this.ctx.moveTo(-w / 2 + 2, -h / 2 + 2);
+        this.ctx.lineTo(w / 2 - 2, h / 2 - 2);
+        this.ctx.moveTo(w / 2 - 2, -h / 2 + 2);
+        this.ctx.lineTo(-w / 2 + 2, h / 2 - 2);
+        this.ctx.stroke();
+        this.ctx.shadowBlur = 0;
+    }
+
+    /**
+     * AC unit - solid block with a spinning fan (drawn centered on origin)
+     */
+    renderACUnit(w, h) {
+        this.ctx.fillStyle = '#2a2a38';
+        this.ctx.fillRect(-w / 2, -h / 2, w, h);
+        this.ctx.fillStyle = '#3a3a4e';
+        this.ctx.fillRect(-w / 2, -h / 2, w, 3);
+        
+        // Fan grille
+        const fanRadius = h * 0.3;
+        const fanX = -w / 2 + fanRadius + 4;
+        this.ctx.fillStyle = '#15151f';
+        this.ctx.beginPath();
+        this.ctx.arc(fanX, 2, fanRadius, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        this.ctx.strokeStyle = '#555566';
+        this.ctx.lineWidth = 2;
+        const spin = Date.now() / 60;
+        this.ctx.beginPath();
+        for (let i = 0; i < 3; i++) {
+            const a = spin + i * (Math.PI * 2 / 3);
+            this.ctx.moveTo(fanX, 2);
+            this.ctx.lineTo(fanX + Math.cos(a) * fanRadius, 2 + Math.sin(a) * fanRadius);
+        }
+        this.ctx.stroke();
         
-        // Render trail
+        // Status light
+        this.ctx.fillStyle = this.colors.neonCyan;
+        this.ctx.fillRect(w / 2 - 8, -h / 2 + 6, 4, 2);
+    }
+
+    /**
+     * Billboard - neon sign, flickers before it drops (drawn centered on origin)
+     */
+    renderBillboard(w, h, hanging) {
+        this.ctx.fillStyle = '#15152a';
+        this.ctx.fillRect(-w / 2, -h / 2, w, h);
+        
+        const lit = !hanging || Math.random() > 0.15;
+        this.ctx.strokeStyle = this.colors.neonPink;
+        this.ctx.shadowColor = this.colors.neonPink;
+        this.ctx.shadowBlur = lit ? 10 : 0;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(-w / 2 + 1, -h / 2 + 1, w - 2, h - 2);
+        
+        if (lit) {
+            this.ctx.fillStyle = this.colors.neonCyan;
+            this.ctx.font = 'bold 10px Courier New';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText('2077', 0, 1);
+        }
+        this.ctx.shadowBlur = 0;
+    }
+
+    /**
+     * Debris - wreckage of a fallen billboard (drawn centered on origin)
+     */
+    renderDebris(w, h) {
+        this.ctx.fillStyle = '#15152a';
+        this.ctx.beginPath();
+        this.ctx.moveTo(-w / 2, h / 2);
+        this.ctx.lineTo(-w / 2 + 6, -h / 2);
+        this.ctx.lineTo(w / 4, -h / 2 + 3);
+        this.ctx.lineTo(w / 2, h / 2);
+        this.ctx.closePath();
+        this.ctx.fill();
+        
+        this.ctx.strokeStyle = this.colors.neonPink;
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Barrier - electrified post (drawn centered on origin)
+     */
+    renderBarrier(w, h) {
+        // Hazard stripes
+        this.ctx.fillStyle = '#111';
+        this.ctx.fillRect(-w / 2, -h / 2, w, h);
+        this.ctx.fillStyle = '#ffff00';
+        for (let y = -h / 2; y < h / 2; y += 8) {
+            this.ctx.fillRect(-w / 2, y, w, 4);
+        }
+        
+        // Crackling arc
+        const flicker = Math.random() > 0.3;
+        if (flicker) {
+            this.ctx.strokeStyle = this.colors.neonPink;
+            this.ctx.shadowColor = this.colors.neonPink;
+            this.ctx.shadowBlur = 10;
+            this.ctx.lineWidth = 1.5;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, -h / 2);
+            for (let i = 1; i <= 4; i++) {
+                this.ctx.lineTo(Utils.random(-4, 4), -h / 2 - i * 3);
+            }
+            this.ctx.stroke();
+            this.ctx.shadowBlur = 0;
+        }
+    }
+
+    /**
+     * Pipe - overhead steam pipe venting from a cracked joint (drawn centered on origin)
+     */
+    renderPipe(w, h) {
+        this.ctx.fillStyle = '#3a3a4e';
+        this.ctx.fillRect(-w / 2, -h / 2, w, h);
+        this.ctx.fillStyle = '#55556a';
+        this.ctx.fillRect(-w / 2, -h / 2, w, 3);
+        
+        // Flanges
+        this.ctx.fillStyle = '#252535';
+        this.ctx.fillRect(-w / 2 + 8, -h / 2 - 2, 4, h + 4);
+        this.ctx.fillRect(w / 2 - 12, -h / 2 - 2, 4, h + 4);
+        
+        // Hazard glow along the underside
+        this.ctx.fillStyle = '#ffff00';
+        this.ctx.shadowColor = '#ffff00';
+        this.ctx.shadowBlur = 6;
+        this.ctx.fillRect(-w / 2, h / 2 - 2, w, 2);
+        this.ctx.shadowBlur = 0;
+        
+        // Steam
+        this.ctx.fillStyle = 'rgba(220, 220, 255, 0.25)';
+        for (let i = 0; i < 3; i++) {
+            this.ctx.beginPath();
+            this.ctx.arc(Utils.random(-4, 4), -h / 2 - 4 - i * 5, 3 + i * 2, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+    }
+
+    /**
+     * Wreck - burning shell wreckage left by a boss (drawn centered on origin)
+     */
+    renderWreck(w, h) {
+        this.ctx.fillStyle = '#1a1410';
+        this.ctx.beginPath();
+        this.ctx.moveTo(-w / 2, h / 2);
+        this.ctx.lineTo(-w / 4, -h / 2);
+        this.ctx.lineTo(w / 3, -h / 2 + 4);
+        this.ctx.lineTo(w / 2, h / 2);
+        this.ctx.closePath();
+        this.ctx.fill();
+        
+        // Flames licking off the top
+        this.ctx.fillStyle = '#ff8800';
+        this.ctx.shadowColor = '#ff5500';
+        this.ctx.shadowBlur = 12;
+        for (let i = 0; i < 3; i++) {
+            const flameHeight = Utils.random(6, 14);
+            const x = -w / 4 + i * w / 4;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - 4, -h / 2 + 2);
+            this.ctx.lineTo(x, -h / 2 - flameHeight);
+            this.ctx.lineTo(x + 4, -h / 2 + 2);
+            this.ctx.closePath();
+            this.ctx.fill();
+        }
+        this.ctx.shadowBlur = 0;
+    }
+
+    /**
+     * Render the boss chasing the player and the strike it is lining up
+     */
+    renderBoss(bosses, distance) {
+        if (!bosses.active) return;
+        
+        const boss = bosses.active;
+        const def = Bosses.types[boss.type];
+        const target = bosses.getStrikeTarget();
+        const progress = bosses.getStrikeProgress(distance);
+        
+        // Telegraph - the marked roof flashes faster as the strike gets closer
+        if (target) {
+            const blink = Math.sin(Date.now() / (120 - progress * 90)) > 0;
+            this.ctx.globalAlpha = blink ? 0.6 : 0.25;
+            this.ctx.fillStyle = def.color;
+            this.ctx.fillRect(target.x, target.y - 4, target.width, 8);
+            this.ctx.globalAlpha = 1;
+            
+            if (def.attack === 'blast') {
+                // Targeting laser from the drone
+                this.ctx.strokeStyle = def.color;
+                this.ctx.shadowColor = def.color;
+                this.ctx.shadowBlur = 8;
+                this.ctx.lineWidth = 1 + progress * 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(boss.x + 30, boss.y + 16);
+                this.ctx.lineTo(target.x + target.width / 2, target.y);
+                this.ctx.stroke();
+                this.ctx.shadowBlur = 0;
+            } else {
+                // Shell arcing over from the mech's cannon
+                const endX = target.x + target.width / 2;
+                const x = Utils.lerp(bosses.strike.fromX, endX, progress);
+                const y = Utils.lerp(bosses.strike.fromY, target.y, progress) - Math.sin(progress * Math.PI) * 160;
+                this.ctx.fillStyle = '#ffcc66';
+                this.ctx.shadowColor = def.color;
+                this.ctx.shadowBlur = 12;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, 5, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.shadowBlur = 0;
+            }
+        }
+        
+        if (boss.type === 'drone') {
+            this.renderDrone(boss.x, boss.y, def.color);
+        } else {
+            this.renderMech(boss.x, boss.y, def.color, bosses.time);
+        }
+    }
+
+    /**
+     * Hunter drone - armoured body with rotors and a glowing eye (x, y is its top left)
+     */
+    renderDrone(x, y, color) {
+        const spin = Math.abs(Math.sin(Date.now() / 25));
+        
+        // Rotor arms and blades
+        this.ctx.fillStyle = '#444455';
+        this.ctx.fillRect(x - 10, y + 6, 80, 4);
+        this.ctx.fillStyle = 'rgba(200, 200, 255, 0.5)';
+        this.ctx.fillRect(x - 22 + (1 - spin) * 12, y + 2, 24 * spin, 2);
+        this.ctx.fillRect(x + 58 + (1 - spin) * 12, y + 2, 24 * spin, 2);
+        
+        // Body
+        this.ctx.fillStyle = '#1a1a26';
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + 8, y + 10);
+        this.ctx.lineTo(x + 52, y + 10);
+        this.ctx.lineTo(x + 60, y + 22);
+        this.ctx.lineTo(x + 44, y + 32);
+        this.ctx.lineTo(x + 16, y + 32);
+        this.ctx.lineTo(x, y + 22);
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+        
+        // Eye
+        this.ctx.fillStyle = color;
+        this.ctx.shadowColor = color;
+        this.ctx.shadowBlur = 14;
+        this.ctx.beginPath();
+        this.ctx.arc(x + 30, y + 21, 5, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.shadowBlur = 0;
+    }
+
+    /**
+     * Rooftop mech - walker with a shoulder cannon (x is its left side, y its feet)
+     */
+    renderMech(x, y, color, time) {
+        const stride = Math.sin(time / 90) * 6;
+        
+        // Legs
+        this.ctx.strokeStyle = '#3a3a4e';
+        this.ctx.lineWidth = 5;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + 14, y - 28);
+        this.ctx.lineTo(x + 10 + stride, y);
+        this.ctx.moveTo(x + 34, y - 28);
+        this.ctx.lineTo(x + 38 - stride, y);
+        this.ctx.stroke();
+        
+        // Hull
+        this.ctx.fillStyle = '#222230';
+        this.ctx.fillRect(x + 4, y - 56, 44, 30);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.strokeRect(x + 4, y - 56, 44, 30);
+        
+        // Cannon
+        this.ctx.fillStyle = '#3a3a4e';
+        this.ctx.save();
+        this.ctx.translate(x + 30, y - 54);
+        this.ctx.rotate(-0.5);
+        this.ctx.fillRect(0, -4, 30, 8);
+        this.ctx.restore();
+        
+        // Visor
+        this.ctx.fillStyle = color;
+        this.ctx.shadowColor = color;
+        this.ctx.shadowBlur = 10;
+        this.ctx.fillRect(x + 30, y - 48, 14, 5);
+        this.ctx.shadowBlur = 0;
+    }
+
+    /**
+     * Render pickups (data shards bob and glow)
+     */
+    renderPickups(pickups) {
+        const time = Date.now() / 300;
+        
+        for (const pickup of pickups) {
+            if (pickup.x > this.width + 50 || pickup.x + pickup.width < -50) continue;
+            
+            const def = Pickups.types[pickup.type];
+            const cx = pickup.x + pickup.width / 2;
+            const cy = pickup.y + pickup.height / 2 + Math.sin(time + pickup.phase) * 3;
+            const hw = pickup.width / 2;
+            const hh = pickup.height / 2;
+            
+            if (pickup.type === 'powerup') {
+                this.renderPowerUpPickup(pickup.powerUp, cx, cy, hw, time);
+                continue;
+            }
+            
+            // Diamond-shaped data shard
+            this.ctx.fillStyle = def.color;
+            this.ctx.shadowColor = def.color;
+            this.ctx.shadowBlur = 10;
+            this.ctx.beginPath();
+            this.ctx.moveTo(cx, cy - hh);
+            this.ctx.lineTo(cx + hw, cy);
+            this.ctx.lineTo(cx, cy + hh);
+            this.ctx.lineTo(cx - hw, cy);
+            this.ctx.closePath();
+            this.ctx.fill();
+            
+            // Inner highlight
+            this.ctx.shadowBlur = 0;
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.fillRect(cx - 1, cy - hh * 0.5, 2, hh);
+        }
+    }
+
+    /**
+     * Render a power-up pickup - glowing hexagon with an initial
+     */
+    renderPowerUpPickup(type, cx, cy, radius, time) {
+        const def = PowerUps.types[type];
+        
+        this.ctx.strokeStyle = def.color;
+        this.ctx.fillStyle = 'rgba(10, 10, 30, 0.8)';
+        this.ctx.shadowColor = def.color;
+        this.ctx.shadowBlur = 12 + Math.sin(time * 2) * 4;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const a = i * Math.PI / 3 + Math.PI / 6;
+            const px = cx + Math.cos(a) * radius;
+            const py = cy + Math.sin(a) * radius;
+            if (i === 0) this.ctx.moveTo(px, py);
+            else this.ctx.lineTo(px, py);
+        }
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.shadowBlur = 0;
+        
+        this.ctx.fillStyle = def.color;
+        this.ctx.font = 'bold 11px Courier New';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(def.label[0], cx, cy + 1);
+    }
+
+    /**
+     * Render particles
+     */
+    renderParticles(particles) {
+        for (const p of particles) {
+            this.ctx.globalAlpha = Math.max(0, p.life / p.maxLife);
+            this.ctx.fillStyle = p.color;
+            this.ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Render player, alpha of the way between its last two simulation ticks
+     * look ({ opacity, trail }) draws a stand-in such as the ghost runner instead -
+     * see-through, with its own trail color and no landing squash
+     */
+    renderPlayer(player, alpha = 1, look = null) {
+        if (!player.isAlive()) return;
+        const position = player.getRenderPosition(alpha);
+        const opacity = look ? look.opacity : 1;
+        
+        // Render trail in the skin's color
+        const trailColor = look ? look.trail : Skins.get(player.skin).trail;
         for (let i = player.trail.length - 1; i >= 0; i--) {
             const trail = player.trail[i];
-            this.ctx.globalAlpha = trail.alpha * 0.3;
-            this.ctx.fillStyle = this.colors.neonCyan;
+            this.ctx.globalAlpha = trail.alpha * 0.3 * opacity;
+            this.ctx.fillStyle = trailColor;
             this.ctx.fillRect(
                 trail.x + player.width * 0.25,
                 trail.y + player.height * 0.25,
@@ -285,30 +1009,72 @@ class Renderer {
                 player.height * 0.5
             );
         }
-        this.ctx.globalAlpha = 1;
+        this.ctx.globalAlpha = opacity;
+        
+        // Flicker during the grace period after a shield hit
+        if (player.invulnerableTimer > 0 && Math.floor(player.invulnerableTimer / 80) % 2 === 0) {
+            this.ctx.globalAlpha = 0.4;
+        }
         
-        // Draw player sprite
+        // Draw player sprite, squashed down onto its feet just after landing
         const frame = player.getCurrentFrame();
-        if (frame) {
-            this.ctx.drawImage(frame, player.x, player.y);
+        const squash = look ? 0 : this.getLandingSquash();
+        if (frame && squash > 0) {
+            const width = player.width * (1 + squash * 0.25);
+            const height = player.height * (1 - squash * 0.2);
+            this.ctx.drawImage(frame, position.x + (player.width - width) / 2, position.y + player.height - height, width, height);
+        } else if (frame) {
+            this.ctx.drawImage(frame, position.x, position.y);
         } else {
             // Fallback rectangle
             this.ctx.fillStyle = '#ff00ff';
-            this.ctx.fillRect(player.x, player.y, player.width, player.height);
+            this.ctx.fillRect(position.x, position.y, player.width, player.height);
+        }
+        this.ctx.globalAlpha = 1;
+        
+        // Shield bubble
+        if (player.effects.has('shield')) {
+            const color = PowerUps.types.shield.color;
+            this.ctx.strokeStyle = color;
+            this.ctx.shadowColor = color;
+            this.ctx.shadowBlur = 12;
+            this.ctx.lineWidth = 2;
+            this.ctx.globalAlpha = 0.5 + Math.sin(Date.now() / 150) * 0.2;
+            this.ctx.beginPath();
+            this.ctx.ellipse(
+                position.x + player.width / 2, position.y + player.height / 2,
+                player.width * 0.9, player.height * 0.7, 0, 0, Math.PI * 2
+            );
+            this.ctx.stroke();
+            this.ctx.globalAlpha = 1;
+            this.ctx.shadowBlur = 0;
         }
     }
 
     /**
      * Render atmospheric effects
      */
-    renderAtmosphere() {
-        // Bottom fog
+    renderAtmosphere(weather) {
+        // Bottom fog, thicker in bad weather
         const fogGradient = this.ctx.createLinearGradient(0, this.height - 80, 0, this.height);
         fogGradient.addColorStop(0, 'rgba(10, 10, 30, 0)');
-        fogGradient.addColorStop(1, 'rgba(10, 10, 30, 0.7)');
+        fogGradient.addColorStop(1, `rgba(10, 10, 30, ${0.7 + weather.fog * 0.3})`);
         this.ctx.fillStyle = fogGradient;
         this.ctx.fillRect(0, this.height - 80, this.width, 80);
         
+        // Fog bank ahead - the denser it is, the less of the course is visible
+        if (weather.fog > 0) {
+            const visible = Utils.lerp(this.width, 300, weather.fog);
+            const start = Math.max(0, visible - 220);
+            const bank = this.ctx.createLinearGradient(start, 0, visible, 0);
+            bank.addColorStop(0, 'rgba(40, 40, 60, 0)');
+            bank.addColorStop(1, `rgba(40, 40, 60, ${Math.min(0.95, weather.fog * 1.25)})`);
+            this.ctx.fillStyle = bank;
+            this.ctx.fillRect(start, 0, visible - start, this.height);
+            this.ctx.fillStyle = `rgba(40, 40, 60, ${Math.min(0.95, weather.fog * 1.25)})`;
+            this.ctx.fillRect(visible, 0, this.width - visible, this.height);
+        }
+        
         // Top vignette
         const vignetteGradient = this.ctx.createLinearGradient(0, 0, 0, 80);
         vignetteGradient.addColorStop(0, 'rgba(0, 0, 0, 0.5)');
@@ -318,14 +1084,48 @@ class Renderer {
     }
 
     /**
-     * Render death effect
+     * How squashed the player sprite is right now (0-1), easing out after a landing
      */
-    renderDeathEffect(player, progress) {
+    getLandingSquash() {
+        if (!this.landingSquash) return 0;
+        
+        const progress = (Date.now() - this.landingSquash.start) / this.landingSquashDuration;
+        if (progress >= 1) {
+            this.landingSquash = null;
+            return 0;
+        }
+        return this.landingSquash.strength * (1 - progress);
+    }
+
+    /**
+     * Render death effect - the sequence depends on the cause (see js/deaths.js)
+     */
+    renderDeathEffect(player, progress, cause) {
+        switch (DeathCauses.get(cause).animation) {
+            case 'splat':
+                this.renderDeathSplat(player, progress);
+                break;
+            case 'tumble':
+                this.renderDeathTumble(player, progress);
+                break;
+            case 'abyss':
+                this.renderDeathAbyss(player, progress);
+                break;
+            default:
+                this.renderDeathBurst(player, progress);
+        }
+    }
+
+    /**
+     * Blown apart - a flash and a ring of particles in the skin's colors
+     */
+    renderDeathBurst(player, progress) {
         // Screen flash
         this.ctx.fillStyle = `rgba(255, 50, 100, ${0.4 * (1 - progress)})`;
         this.ctx.fillRect(0, 0, this.width, this.height);
         
-        // Explosion particles
+        // Explosion particles in the skin's colors
+        const colors = Skins.getBurstColors(player.skin);
         const particleCount = 15;
         for (let i = 0; i < particleCount; i++) {
             const angle = (i / particleCount) * Math.PI * 2;
@@ -334,7 +1134,7 @@ class Renderer {
             const y = player.y + player.height/2 + Math.sin(angle) * distance;
             const size = (1 - progress) * 8;
             
-            this.ctx.fillStyle = i % 2 === 0 ? this.colors.neonPink : this.colors.neonCyan;
+            this.ctx.fillStyle = colors[i % colors.length];
             this.ctx.shadowColor = this.ctx.fillStyle;
             this.ctx.shadowBlur = 10;
             this.ctx.fillRect(x - size/2, y - size/2, size, size);
@@ -342,30 +1142,165 @@ class Renderer {
         this.ctx.shadowBlur = 0;
     }
 
+    /**
+     * Wall splat - flattened against the wall ahead, a smear of neon, sliding down it
+     */
+    renderDeathSplat(player, progress) {
+        const wallX = player.x + player.width;
+        const [trim, visor] = Skins.getBurstColors(player.skin);
+        
+        // Impact flash, short and sharp
+        this.ctx.fillStyle = `rgba(255, 255, 255, ${0.5 * Math.max(0, 1 - progress * 4)})`;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        
+        // Smear on the wall with drips running down
+        this.ctx.fillStyle = trim;
+        this.ctx.shadowColor = trim;
+        this.ctx.shadowBlur = 8;
+        this.ctx.globalAlpha = 1 - progress * 0.5;
+        this.ctx.fillRect(wallX - 3, player.y + 6, 4, player.height - 10);
+        for (let i = 0; i < 4; i++) {
+            const drip = progress * (20 + i * 9);
+            this.ctx.fillRect(wallX - 3 + (i % 2), player.y + 10 + i * 9, 2, drip);
+        }
+        this.ctx.shadowBlur = 0;
+        
+        // The runner squashed flat, peeling off the wall
+        const frame = player.frames ? player.frames[0] : null;
+        if (frame) {
+            const width = player.width * (0.35 + progress * 0.15);
+            const slide = progress * progress * 40;
+            this.ctx.globalAlpha = 1 - progress;
+            this.ctx.drawImage(frame, wallX - width, player.y + slide, width, player.height);
+        }
+        
+        // Visor shards
+        this.ctx.fillStyle = visor;
+        this.ctx.globalAlpha = 1 - progress;
+        for (let i = 0; i < 5; i++) {
+            this.ctx.fillRect(wallX - 8 - progress * (10 + i * 8), player.y + 8 + i * 3 + progress * progress * 60, 3, 3);
+        }
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Clipped ledge - sparks off the roof edge and a spin down out of sight
+     */
+    renderDeathTumble(player, progress) {
+        const edgeX = player.x + player.width;
+        const edgeY = player.y;
+        
+        // Sparks where the edge caught the runner
+        if (progress < 0.4) {
+            const sparkAlpha = 1 - progress / 0.4;
+            this.ctx.strokeStyle = `rgba(255, 255, 0, ${sparkAlpha})`;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            for (let i = 0; i < 6; i++) {
+                const angle = -Math.PI / 2 - 1 + i * 0.4;
+                const length = 6 + progress * 50;
+                this.ctx.moveTo(edgeX, edgeY);
+                this.ctx.lineTo(edgeX + Math.cos(angle) * length, edgeY + Math.sin(angle) * length);
+            }
+            this.ctx.stroke();
+        }
+        
+        // Spinning backwards and dropping away
+        const frame = player.frames ? player.frames[15] : null;
+        if (frame) {
+            const x = player.x + player.width / 2 - progress * 30;
+            const y = player.y + player.height / 2 + progress * progress * 260;
+            this.ctx.save();
+            this.ctx.translate(x, y);
+            this.ctx.rotate(-progress * Math.PI * 3);
+            this.ctx.globalAlpha = 1 - progress * 0.6;
+            this.ctx.drawImage(frame, -player.width / 2, -player.height / 2);
+            this.ctx.restore();
+        }
+    }
+
+    /**
+     * The abyss - darkness rises from below while the runner's glow fades out
+     */
+    renderDeathAbyss(player, progress) {
+        const trail = Skins.get(player.skin).trail;
+        
+        // Last glimpse of the runner's glow at the bottom of the screen
+        const glowX = player.x + player.width / 2;
+        const radius = 30 * (1 - progress);
+        if (radius > 0) {
+            const glow = this.ctx.createRadialGradient(glowX, this.height, 0, glowX, this.height, radius);
+            glow.addColorStop(0, trail);
+            glow.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            this.ctx.fillStyle = glow;
+            this.ctx.fillRect(glowX - radius, this.height - radius, radius * 2, radius);
+        }
+        
+        // Darkness climbing the screen
+        const top = this.height * (1 - progress * 0.7);
+        const dark = this.ctx.createLinearGradient(0, top, 0, this.height);
+        dark.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        dark.addColorStop(1, `rgba(0, 0, 0, ${0.85 * progress})`);
+        this.ctx.fillStyle = dark;
+        this.ctx.fillRect(0, top, this.width, this.height - top);
+    }
+
     /**
      * Main render function
+     * alpha is how far the frame falls between the last two simulation ticks;
+     * the scrolling foreground and the player are drawn that far along
      */
-    render(game) {
-        this.clear();
+    render(game, alpha = 1) {
+        this.clear(game.world.district);
+        this.renderLightning(game.world.weather);
         
         // Background city
         this.renderBackground(game.world);
         
         // Rain
-        this.renderRain(game.world.raindrops);
+        this.renderRain(game.world.raindrops, game.world.getRainCount(), game.world.getRainDrift());
+        
+        // Everything scrolling with the rooftops is drawn where it was on the previous
+        // tick, then moved alpha of the way to where it is now
+        this.ctx.save();
+        this.ctx.translate((1 - alpha) * game.world.lastScrollAmount, 0);
         
         // Foreground buildings
         this.renderBuildings(game.world.buildings);
         
+        // Moving platforms
+        this.renderPlatforms(game.world.platforms);
+        
+        // Rooftop obstacles
+        this.renderObstacles(game.world.obstacles);
+        
+        // Pickups
+        this.renderPickups(game.world.pickups);
+        
+        // Boss and its strikes
+        this.renderBoss(game.world.bosses, game.world.distanceTraveled);
+        this.ctx.restore();
+        
+        // Ghost of the best run on this seed, then the player over it
+        if (game.ghost) {
+            this.renderPlayer(game.ghost, alpha, { opacity: Ghosts.opacity, trail: Ghosts.trail });
+        }
+        
         // Player
-        this.renderPlayer(game.player);
+        this.renderPlayer(game.player, alpha);
+        
+        // Particles
+        this.ctx.save();
+        this.ctx.translate((1 - alpha) * game.world.lastScrollAmount, 0);
+        this.renderParticles(game.particles.getActive());
+        this.ctx.restore();
         
         // Atmosphere
-        this.renderAtmosphere();
+        this.renderAtmosphere(game.world.weather);
         
         // Death effect
-        if (!game.player.alive && game.deathAnimationProgress < 1) {
-            this.renderDeathEffect(game.player, game.deathAnimationProgress);
+        if (!game.player.isAlive() && game.deathAnimationProgress < 1) {
+            this.renderDeathEffect(game.player, game.deathAnimationProgress, game.death ? game.death.cause : null);
         }
     }
 }
@@ -0,0 +1,191 @@
+/**
+ * Run Replays for Cyber Runner
+ * A run is recorded as its seed, its settings and the inputs made on each
+ * simulation tick. The world is generated from the seed and every tick is the
+ * same length (physics.timeStep), so feeding the inputs back through
+ * Game.update on the same ticks plays the run out exactly as it happened.
+ *
+ * Replay format:
+ * {
+ *   "version": 1,
+ *   "seed": 1234567890,
+ *   "settings": { "profile": "normal", "fairnessMargin": 0.85, "coyoteTime": 100,
+ *                 "jumpBufferTime": 120, "skin": "runner" },
+ *   "timeStep": 8.333,            // ms per tick the run was recorded at
+ *   "events": [[12, 0], [30, 1]], // [tick, input] - input indexes Replays.inputs
+ *   "ticks": 5400,                // Length of the run
+ *   "score": 2975,
+ *   "date": 1700000000000
+ * }
+ *
+ * Runs on courses using extra level chunks replay correctly only where the same
+ * chunks are loaded.
+ */
+
+const Replays = {
+    version: 1,
+
+    /**
+     * Inputs that can be recorded, in the order their indices are saved
+     * Releases are recorded every time, presses only when they take effect
+     */
+    inputs: ['jump', 'jumpRelease', 'slide', 'slideRelease'],
+
+    /**
+     * Playback speeds, slowest first
+     */
+    speeds: [0.25, 0.5, 1, 2, 4],
+
+    /**
+     * Start recording a run
+     */
+    create(seed, settings) {
+        return {
+            version: this.version,
+            seed: seed,
+            settings: Object.assign({}, settings),
+            timeStep: physics.timeStep,
+            events: [],
+            ticks: 0,
+            score: 0,
+            date: Date.now()
+        };
+    },
+
+    /**
+     * Log an input made before a tick ran
+     */
+    record(replay, tick, input) {
+        replay.events.push([tick, this.inputs.indexOf(input)]);
+    },
+
+    /**
+     * Close a recording once the run is over
+     */
+    finish(replay, ticks, score) {
+        replay.ticks = ticks;
+        replay.score = Math.floor(score);
+    },
+
+    /**
+     * Turn JSON text (or an already parsed object) into a replay
+     * Returns null, with a warning, if it isn't a usable replay
+     */
+    parse(data) {
+        if (typeof data === 'string') {
+            try {
+                data = JSON.parse(data);
+            } catch (e) {
+                console.warn('Invalid replay JSON:', e);
+                return null;
+            }
+        }
+        
+        const problems = this.validate(data);
+        if (problems.length > 0) {
+            console.warn('Skipping replay:', problems.join('; '));
+            return null;
+        }
+        return data;
+    },
+
+    /**
+     * Check a replay, returning a list of problems (empty when valid)
+     */
+    validate(replay) {
+        const problems = [];
+        const isTick = value => Number.isInteger(value) && value >= 0;
+        
+        if (!replay || typeof replay !== 'object') return ['not a replay'];
+        if (replay.version !== this.version) problems.push(`unsupported version ${replay.version}`);
+        if (!isTick(replay.seed)) problems.push('needs a numeric seed');
+        if (!isTick(replay.ticks)) problems.push('needs a tick count');
+        if (replay.timeStep !== physics.timeStep) problems.push(`recorded at a different tick length (${replay.timeStep}ms)`);
+        
+        const settings = replay.settings;
+        if (!settings || !DifficultyProfiles.profiles[settings.profile]) {
+            problems.push('needs settings with a known profile');
+        }
+        
+        if (!Array.isArray(replay.events)) {
+            problems.push('needs an events list');
+            return problems;
+        }
+        let last = 0;
+        replay.events.forEach((event, i) => {
+            if (!Array.isArray(event) || !isTick(event[0]) || !this.inputs[event[1]]) {
+                problems.push(`event ${i} is not a [tick, input] pair`);
+                return;
+            }
+            if (event[0] < last || event[0] > replay.ticks) problems.push(`event ${i} is out of order`);
+            last = event[0];
+        });
+        
+        return problems;
+    },
+
+    /**
+     * Export a replay as JSON text
+     */
+    serialize(replay) {
+        return JSON.stringify(replay);
+    },
+
+    /**
+     * File name for an exported replay
+     */
+    getFileName(replay) {
+        return `cyber-runner-${replay.settings.profile}-${replay.seed}-${replay.score}.json`;
+    }
+};
+
+/**
+ * Plays a replay's inputs back tick by tick
+ * Game runs the ticks; this hands over the inputs due on each one and keeps
+ * the playback state (playing, speed).
+ */
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.nextEvent = 0;
+        this.playing = true;
+        this.speed = 1;
+    }
+
+    /**
+     * Back to the start of the log (the game resets the run itself)
+     */
+    rewind() {
+        this.nextEvent = 0;
+    }
+
+    /**
+     * Inputs due before a tick runs, in the order they were made
+     */
+    takeInputs(tick) {
+        const inputs = [];
+        const events = this.replay.events;
+        while (this.nextEvent < events.length && events[this.nextEvent][0] <= tick) {
+            inputs.push(Replays.inputs[events[this.nextEvent][1]]);
+            this.nextEvent++;
+        }
+        return inputs;
+    }
+
+    /**
+     * Whether playback has reached the end of the run
+     */
+    isFinished(tick) {
+        return tick >= this.replay.ticks;
+    }
+
+    /**
+     * Step the playback speed up or down through Replays.speeds
+     */
+    cycleSpeed(direction = 1) {
+        const speeds = Replays.speeds;
+        const index = speeds.indexOf(this.speed);
+        this.speed = speeds[(index + direction + speeds.length) % speeds.length];
+        return this.speed;
+    }
+}
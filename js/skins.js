@@ -0,0 +1,65 @@
+/**
+ * Character Skins for Cyber Runner
+ * Palettes and silhouette tweaks the player sprites are generated from
+ */
+
+const Skins = {
+    defaultSkin: 'runner',
+
+    /**
+     * Skins, in menu order
+     * palette    - coat (body, arms, hair), trim (coat edges and leg glow), head,
+     *              visor (eyes and sprite glow) and legs
+     * silhouette - hood, longCoat and helmet add to the basic outline
+     * trail      - color of the motion trail behind the player
+     * The death burst alternates trim and visor.
+     */
+    skins: {
+        runner: {
+            name: 'Runner',
+            palette: { coat: '#1a1a2e', trim: '#ff00ff', head: '#2a2a3e', visor: '#00ffff', legs: '#15152a' },
+            silhouette: { hood: false, longCoat: false, helmet: false },
+            trail: '#00ffff'
+        },
+        phantom: {
+            name: 'Phantom',
+            palette: { coat: '#16221e', trim: '#00ff88', head: '#22302a', visor: '#aaffdd', legs: '#101a16' },
+            silhouette: { hood: true, longCoat: false, helmet: false },
+            trail: '#00ff88'
+        },
+        ronin: {
+            name: 'Ronin',
+            palette: { coat: '#2a1418', trim: '#ffaa00', head: '#3a2a2a', visor: '#ff3355', legs: '#1e0e12' },
+            silhouette: { hood: false, longCoat: true, helmet: false },
+            trail: '#ff3355'
+        },
+        courier: {
+            name: 'Courier',
+            palette: { coat: '#1a1e2e', trim: '#00ffff', head: '#2a3040', visor: '#ffff00', legs: '#141828' },
+            silhouette: { hood: false, longCoat: false, helmet: true },
+            trail: '#ffff00'
+        }
+    },
+
+    /**
+     * Look up a skin by id, falling back to the default
+     */
+    get(id) {
+        return this.skins[id] || this.skins[this.defaultSkin];
+    },
+
+    /**
+     * Resolve an id to one that exists
+     */
+    resolve(id) {
+        return this.skins[id] ? id : this.defaultSkin;
+    },
+
+    /**
+     * Colors of the burst when the player dies
+     */
+    getBurstColors(id) {
+        const palette = this.get(id).palette;
+        return [palette.trim, palette.visor];
+    }
+};
@@ -0,0 +1,154 @@
+/**
+ * Player States for Cyber Runner
+ * The states the runner moves through, which moves between them are allowed,
+ * and the animation clip each one plays
+ */
+
+const PlayerStates = {
+    initial: 'running',
+
+    /**
+     * States and the states they may move to
+     * Sliding and rolling are moves made within these (a slide runs, a roll lands)
+     */
+    transitions: {
+        running: ['jumpRise', 'falling', 'stumbling', 'dead'],
+        jumpRise: ['jumpRise', 'apex', 'falling', 'landing', 'dead'],
+        apex: ['jumpRise', 'falling', 'landing', 'dead'],
+        falling: ['jumpRise', 'landing', 'dead'],
+        landing: ['running', 'stumbling', 'jumpRise', 'falling', 'dead'],
+        stumbling: ['running', 'jumpRise', 'falling', 'dead'],
+        dead: []
+    },
+
+    airborne: ['jumpRise', 'apex', 'falling'],
+
+    /**
+     * Animation clips, as player sprite frame indices (see Assets.generatePlayerFrames)
+     * frameTime - ms per frame, looping
+     * spread    - the frames are spread once over the move's duration instead
+     */
+    clips: {
+        running: { frames: [0, 1, 2, 3], frameTime: 80 },
+        slide: { frames: [5] },
+        jumpRise: { frames: [4] },
+        apex: { frames: [14] },
+        falling: { frames: [15, 16], frameTime: 120 },
+        landing: { frames: [17] },
+        roll: { frames: [6, 7, 8, 9], spread: true },
+        stumbling: { frames: [10, 11, 12, 13], spread: true }
+    },
+
+    /**
+     * Whether a state is one of the in-the-air ones
+     */
+    isAirborne(state) {
+        return this.airborne.includes(state);
+    },
+
+    /**
+     * Frame index of a clip, time ms into it (duration for spread clips)
+     */
+    getClipFrame(name, time, duration = 1) {
+        const clip = this.clips[name];
+        if (clip.spread) {
+            const index = Math.floor(time / duration * clip.frames.length);
+            return clip.frames[Utils.clamp(index, 0, clip.frames.length - 1)];
+        }
+        if (!clip.frameTime) return clip.frames[0];
+        return clip.frames[Math.floor(time / clip.frameTime) % clip.frames.length];
+    }
+};
+
+/**
+ * Finite state machine over PlayerStates.transitions
+ * Listeners subscribe to a state name (called on entering it) or to 'change'
+ * (every transition). Each gets { from, to, ...data } where data is whatever
+ * the transition was made with, e.g. landing carries { fallHeight, hard, rolled }.
+ */
+class StateMachine {
+    constructor(transitions = PlayerStates.transitions, initial = PlayerStates.initial) {
+        this.transitions = transitions;
+        this.initial = initial;
+        this.current = initial;
+        this.previous = null;
+        this.time = 0; // ms spent in the current state
+        this.listeners = {};
+    }
+
+    /**
+     * Whether the machine is in a state
+     */
+    is(state) {
+        return this.current === state;
+    }
+
+    /**
+     * Whether moving to a state is allowed from the current one
+     */
+    can(to) {
+        return this.transitions[this.current].includes(to);
+    }
+
+    /**
+     * Move to a state, telling listeners about it
+     * Returns false (and leaves the state alone) if the move isn't allowed
+     */
+    transition(to, data = {}) {
+        if (!this.can(to)) {
+            console.warn(`Player state: no transition from ${this.current} to ${to}`);
+            return false;
+        }
+        
+        const event = Object.assign({ from: this.current, to: to }, data);
+        this.previous = this.current;
+        this.current = to;
+        this.time = 0;
+        this.emit(to, event);
+        this.emit('change', event);
+        return true;
+    }
+
+    /**
+     * Jump straight back to the initial state (new run), without events
+     */
+    reset() {
+        this.current = this.initial;
+        this.previous = null;
+        this.time = 0;
+    }
+
+    /**
+     * Advance the time spent in the current state
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    /**
+     * Subscribe to entering a state (or 'change' for every transition)
+     */
+    on(name, callback) {
+        if (!this.listeners[name]) this.listeners[name] = [];
+        this.listeners[name].push(callback);
+    }
+
+    /**
+     * Unsubscribe a listener added with on()
+     */
+    off(name, callback) {
+        if (!this.listeners[name]) return;
+        this.listeners[name] = this.listeners[name].filter(listener => listener !== callback);
+    }
+
+    /**
+     * Call the listeners for a state (or 'change')
+     */
+    emit(name, event) {
+        const listeners = this.listeners[name];
+        if (!listeners) return;
+        for (const listener of listeners.slice()) {
+            listener(event);
+        }
+    }
+}
@@ -5,23 +5,24 @@
 const Utils = {
     /**
      * Generate a random number between min and max (inclusive)
+     * Pass a seeded generator as rng for deterministic results
      */
-    random(min, max) {
-        return Math.random() * (max - min) + min;
+    random(min, max, rng = Math.random) {
+        return rng() * (max - min) + min;
     },
 
     /**
      * Generate a random integer between min and max (inclusive)
      */
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    randomInt(min, max, rng = Math.random) {
+        return Math.floor(rng() * (max - min + 1)) + min;
     },
 
     /**
      * Pick a random element from an array
      */
-    randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    randomChoice(array, rng = Math.random) {
+        return array[Math.floor(rng() * array.length)];
     },
 
     /**
@@ -38,6 +39,19 @@ const Utils = {
         return a + (b - a) * t;
     },
 
+    /**
+     * Interpolate between two hex colors ('#rrggbb'), returns an rgb() string
+     */
+    lerpColor(a, b, t) {
+        if (t <= 0 || a === b) return a;
+        const ca = parseInt(a.slice(1), 16);
+        const cb = parseInt(b.slice(1), 16);
+        const r = Math.round(this.lerp((ca >> 16) & 255, (cb >> 16) & 255, t));
+        const g = Math.round(this.lerp((ca >> 8) & 255, (cb >> 8) & 255, t));
+        const bl = Math.round(this.lerp(ca & 255, cb & 255, t));
+        return `rgb(${r}, ${g}, ${bl})`;
+    },
+
     /**
      * Check if two rectangles overlap (AABB collision)
      */
@@ -48,25 +62,6 @@ const Utils = {
                a.y + a.height > b.y;
     },
 
-    /**
-     * Get high score from localStorage
-     */
-    getHighScore() {
-        return parseInt(localStorage.getItem('cyberRunnerHighScore') || '0', 10);
-    },
-
-    /**
-     * Save high score to localStorage
-     */
-    setHighScore(score) {
-        const current = this.getHighScore();
-        if (score > current) {
-            localStorage.setItem('cyberRunnerHighScore', score.toString());
-            return true;
-        }
-        return false;
-    },
-
     /**
      * Format score with commas
      */
@@ -78,13 +73,52 @@ const Utils = {
      * Seeded random number generator (simple LCG)
      */
     createSeededRandom(seed) {
-        let s = seed;
+        let s = seed >>> 0;
         return function() {
             s = (s * 1664525 + 1013904223) % 4294967296;
             return s / 4294967296;
         };
     },
 
+    /**
+     * Generate a fresh run seed (32-bit unsigned integer)
+     */
+    generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    },
+
+    /**
+     * Normalise a user-supplied seed into a 32-bit unsigned integer
+     * Numbers and numeric strings are used as-is, other strings are hashed (FNV-1a)
+     * Returns null if no usable seed was given
+     */
+    parseSeed(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number' && isFinite(value)) {
+            return Math.floor(Math.abs(value)) >>> 0;
+        }
+        
+        const str = String(value).trim();
+        if (/^\d+$/.test(str)) {
+            return parseInt(str, 10) >>> 0;
+        }
+        
+        let hash = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Read a query string parameter from the page URL
+     */
+    getUrlParam(name) {
+        if (typeof window === 'undefined' || !window.location) return null;
+        return new URLSearchParams(window.location.search).get(name);
+    },
+
     /**
      * Perlin-like noise (simplified)
      */
@@ -153,3 +187,232 @@ class ObjectPool {
         return this.active;
     }
 }
+
+// Event emitter for named events, e.g. the Game's events for an embedding page
+class EventEmitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(name, callback) {
+        if (!this.listeners[name]) this.listeners[name] = [];
+        this.listeners[name].push(callback);
+    }
+
+    off(name, callback) {
+        if (!this.listeners[name]) return;
+        this.listeners[name] = this.listeners[name].filter(listener => listener !== callback);
+    }
+
+    clear() {
+        this.listeners = {};
+    }
+
+    // A listener that throws is reported without stopping the others (or the game)
+    emit(name, payload) {
+        const listeners = this.listeners[name];
+        if (!listeners) return;
+        for (const listener of listeners.slice()) {
+            try {
+                listener(payload);
+            } catch (e) {
+                console.error(`Error in "${name}" listener:`, e);
+            }
+        }
+    }
+}
+
+// Saved game data in localStorage - high scores, death counts, replays, ghosts and
+// menu picks - under keys starting with a namespace, so several games can share a page
+class GameStorage {
+    constructor(namespace = 'cyberRunner') {
+        this.namespace = namespace;
+    }
+
+    /**
+     * localStorage key for one kind of saved data, e.g. 'cyberRunnerHighScores'
+     */
+    key(name) {
+        return this.namespace + name;
+    }
+
+    /**
+     * Get all high score records from localStorage, keyed by difficulty profile
+     * Each record is { score, profile, seed, date }
+     */
+    getHighScores() {
+        let records = {};
+        try {
+            records = JSON.parse(localStorage.getItem(this.key('HighScores')) || '{}') || {};
+        } catch (e) {
+            records = {};
+        }
+        
+        // Scores saved before profiles existed were all on normal
+        const legacy = parseInt(localStorage.getItem(this.key('HighScore')) || '0', 10);
+        if (legacy > 0 && !records.normal) {
+            records.normal = { score: legacy, profile: 'normal', seed: null, date: null };
+        }
+        return records;
+    }
+
+    /**
+     * Get the high score for a difficulty profile
+     */
+    getHighScore(profile = 'normal') {
+        const record = this.getHighScores()[profile];
+        return record ? record.score : 0;
+    }
+
+    /**
+     * Save a high score for a difficulty profile to localStorage
+     * Returns true if it beat the previous best
+     */
+    setHighScore(score, profile = 'normal', seed = null) {
+        const records = this.getHighScores();
+        const current = records[profile] ? records[profile].score : 0;
+        if (score > current) {
+            records[profile] = { score: score, profile: profile, seed: seed, date: Date.now() };
+            try {
+                localStorage.setItem(this.key('HighScores'), JSON.stringify(records));
+            } catch (e) {
+                console.warn('Could not save high score:', e);
+                return false;
+            }
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get lifetime death counts from localStorage, keyed by cause (see js/deaths.js)
+     */
+    getDeathCounts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key('Deaths')) || '{}') || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Count one more death by a cause, returning the new lifetime count
+     */
+    recordDeath(cause) {
+        const counts = this.getDeathCounts();
+        counts[cause] = (counts[cause] || 0) + 1;
+        try {
+            localStorage.setItem(this.key('Deaths'), JSON.stringify(counts));
+        } catch (e) {
+            console.warn('Could not save death count:', e);
+        }
+        return counts[cause];
+    }
+
+    /**
+     * Get the saved replays from localStorage (see js/replays.js)
+     * { last, best: { [profile]: replay } } - the best is kept per difficulty profile
+     */
+    getReplays() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.key('Replays')) || '{}') || {};
+        } catch (e) {
+            saved = {};
+        }
+        return { last: saved.last || null, best: saved.best || {} };
+    }
+
+    /**
+     * Save a finished run's replay as the last one, and as the best for its profile
+     * if it beat the score of the one kept. Returns true if it became the best.
+     */
+    saveReplay(replay) {
+        const saved = this.getReplays();
+        const profile = replay.settings.profile;
+        const best = saved.best[profile];
+        const isBest = !best || replay.score > best.score;
+        
+        saved.last = replay;
+        if (isBest) saved.best[profile] = replay;
+        try {
+            localStorage.setItem(this.key('Replays'), JSON.stringify(saved));
+        } catch (e) {
+            console.warn('Could not save replay:', e);
+        }
+        return isBest;
+    }
+
+    /**
+     * Get all saved ghosts from localStorage, keyed by Ghosts.getKey (see js/ghosts.js)
+     */
+    getGhosts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.key('Ghosts')) || '{}') || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the ghost for a seed on a difficulty profile, or null
+     */
+    getGhost(seed, profile) {
+        return this.getGhosts()[Ghosts.getKey(seed, profile)] || null;
+    }
+
+    /**
+     * Save a ghost if it beat the score of the one kept for its seed and profile
+     * Only the 10 most recently stored ghosts are kept. Returns true if it was saved.
+     */
+    saveGhost(ghost) {
+        const ghosts = this.getGhosts();
+        const key = Ghosts.getKey(ghost.seed, ghost.profile);
+        if (ghosts[key] && ghosts[key].score >= ghost.score) return false;
+        
+        // Keys stay in the order ghosts were stored (not the date they were run - an
+        // imported ghost can be old), so the ones stored longest ago go first
+        delete ghosts[key];
+        ghosts[key] = ghost;
+        for (const old of Object.keys(ghosts).slice(0, -10)) {
+            delete ghosts[old];
+        }
+        try {
+            localStorage.setItem(this.key('Ghosts'), JSON.stringify(ghosts));
+        } catch (e) {
+            console.warn('Could not save ghost:', e);
+            return false;
+        }
+        return key in ghosts;
+    }
+
+    /**
+     * Get/save the difficulty profile last picked on the start menu
+     */
+    getSavedProfile() {
+        return localStorage.getItem(this.key('Profile'));
+    }
+
+    saveProfile(profile) {
+        try {
+            localStorage.setItem(this.key('Profile'), profile);
+        } catch (e) {
+            console.warn('Could not save profile:', e);
+        }
+    }
+
+    /**
+     * Get/save the character skin last picked on the start menu
+     */
+    getSavedSkin() {
+        return localStorage.getItem(this.key('Skin'));
+    }
+
+    saveSkin(skin) {
+        try {
+            localStorage.setItem(this.key('Skin'), skin);
+        } catch (e) {
+            console.warn('Could not save skin:', e);
+        }
+    }
+}
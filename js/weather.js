@@ -0,0 +1,239 @@
+/**
+ * Weather System for Cyber Runner
+ * A seeded state machine moving between clear, drizzle, storm and fog over the run.
+ * The sequence is laid out by distance, so a seed always brings the same weather
+ * to the same stretch of rooftops.
+ */
+
+const WeatherTypes = {
+    /**
+     * Weather types
+     * rain      - fraction of World.maxRaindrops falling
+     * rainSpeed - fall speed multiplier
+     * wind      - strongest gust (px/frame², pushes the player while airborne)
+     * fog       - 0 (clear view) to 1 (thick fog hiding what's ahead)
+     * lightning - strikes per second
+     * length    - [min, max] px the state lasts
+     * next      - weights for the following state
+     */
+    clear: {
+        name: 'Clear',
+        rain: 0,
+        rainSpeed: 1,
+        wind: 0,
+        fog: 0,
+        lightning: 0,
+        length: [3000, 6000],
+        next: { drizzle: 2, fog: 1 }
+    },
+    drizzle: {
+        name: 'Drizzle',
+        rain: 0.4,
+        rainSpeed: 0.9,
+        wind: 0.005,
+        fog: 0.1,
+        lightning: 0,
+        length: [3000, 5000],
+        next: { clear: 1, storm: 2, fog: 1 }
+    },
+    storm: {
+        name: 'Storm',
+        rain: 1,
+        rainSpeed: 1.4,
+        wind: 0.04,
+        fog: 0.2,
+        lightning: 0.3,
+        length: [2500, 4500],
+        next: { drizzle: 2, fog: 1 }
+    },
+    fog: {
+        name: 'Fog',
+        rain: 0.1,
+        rainSpeed: 0.7,
+        wind: 0,
+        fog: 0.75,
+        lightning: 0,
+        length: [2500, 4000],
+        next: { clear: 1, drizzle: 1 }
+    }
+};
+
+class WeatherSystem {
+    constructor() {
+        this.startType = 'drizzle';
+        this.transition = 800; // px spent blending into the next state
+        
+        // Sequence of { type, start, end, direction }, extended as the run goes on
+        this.segments = [];
+        this.seed = 0;
+        this.rng = Math.random;
+        
+        // Current conditions (blended between segments)
+        this.blend = { from: this.startType, to: this.startType, t: 0 };
+        this.rain = 0;
+        this.rainSpeed = 1;
+        this.wind = 0;
+        this.fog = 0;
+        
+        // Lightning - cosmetic, so not drawn from the seed
+        this.flash = 0;          // 0-1, decays after a strike
+        this.flashDecay = 0.003; // per ms
+        this.bolt = null;        // Points of the visible bolt
+        
+        // Weather seen this run, in order, for the summary
+        this.history = [];
+    }
+
+    /**
+     * Seed the weather sequence and start over
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.rng = Utils.createSeededRandom(this.seed);
+        this.segments = [];
+        this.history = [];
+        this.flash = 0;
+        this.bolt = null;
+        this.addSegment(this.startType, 0);
+        this.update(0, 0);
+    }
+
+    /**
+     * Append the next state to the sequence
+     */
+    addSegment(type, start) {
+        const def = WeatherTypes[type];
+        this.segments.push({
+            type: type,
+            start: start,
+            end: start + Utils.random(def.length[0], def.length[1], this.rng),
+            direction: this.rng() < 0.7 ? -1 : 1 // Mostly headwinds
+        });
+    }
+
+    /**
+     * Pick the state after type from its next weights
+     */
+    pickNext(type) {
+        const next = WeatherTypes[type].next;
+        const types = Object.keys(next);
+        const total = types.reduce((sum, t) => sum + next[t], 0);
+        
+        let roll = this.rng() * total;
+        for (const t of types) {
+            roll -= next[t];
+            if (roll < 0) return t;
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * Segment covering a distance, extending the sequence as needed
+     */
+    getSegment(distance) {
+        let last = this.segments[this.segments.length - 1];
+        while (last.end <= distance) {
+            this.addSegment(this.pickNext(last.type), last.end);
+            last = this.segments[this.segments.length - 1];
+        }
+        
+        for (let i = this.segments.length - 1; i >= 0; i--) {
+            if (this.segments[i].start <= distance) return i;
+        }
+        return 0;
+    }
+
+    /**
+     * Which states apply at a distance: { from, to, t, direction }
+     */
+    getBlendAt(distance) {
+        const index = this.getSegment(distance);
+        const segment = this.segments[index];
+        const t = Utils.clamp((distance - (segment.end - this.transition)) / this.transition, 0, 1);
+        if (t <= 0) {
+            return { from: segment.type, to: segment.type, t: 0, direction: segment.direction };
+        }
+        
+        const next = this.segments[this.getSegment(segment.end)];
+        return { from: segment.type, to: next.type, t: t, direction: t < 0.5 ? segment.direction : next.direction };
+    }
+
+    /**
+     * Blend one numeric property of the weather types
+     */
+    mix(blend, key) {
+        return Utils.lerp(WeatherTypes[blend.from][key], WeatherTypes[blend.to][key], blend.t);
+    }
+
+    /**
+     * Wind at a distance, gusting between 60% and 100% of the state's strength
+     */
+    getWindAt(distance) {
+        const blend = this.getBlendAt(distance);
+        const gust = 0.6 + 0.4 * Utils.smoothNoise(distance, 400, this.seed);
+        return blend.direction * this.mix(blend, 'wind') * gust;
+    }
+
+    /**
+     * Strongest gust possible at a distance - the generator plans jumps around it
+     */
+    getMaxWindAt(distance) {
+        const blend = this.getBlendAt(distance);
+        return blend.direction * this.mix(blend, 'wind');
+    }
+
+    /**
+     * Name of the state the weather mostly looks like
+     */
+    getName() {
+        return WeatherTypes[this.blend.t < 0.5 ? this.blend.from : this.blend.to].name;
+    }
+
+    /**
+     * Move the weather along to the player's distance
+     * Returns true when lightning strikes this frame
+     */
+    update(deltaTime, distance) {
+        this.blend = this.getBlendAt(distance);
+        this.rain = this.mix(this.blend, 'rain');
+        this.rainSpeed = this.mix(this.blend, 'rainSpeed');
+        this.fog = this.mix(this.blend, 'fog');
+        this.wind = this.getWindAt(distance);
+        
+        const name = this.getName();
+        if (this.history[this.history.length - 1] !== name) {
+            this.history.push(name);
+        }
+        
+        // Lightning
+        this.flash = Math.max(0, this.flash - this.flashDecay * deltaTime);
+        if (this.flash <= 0) this.bolt = null;
+        
+        const strikes = this.mix(this.blend, 'lightning');
+        if (strikes > 0 && Math.random() < strikes * deltaTime / 1000) {
+            this.strike();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Flash the sky and shape a jagged bolt (x as a fraction of screen width)
+     */
+    strike() {
+        this.flash = 1;
+        this.bolt = [];
+        let x = Utils.random(0.2, 0.9);
+        for (let y = 0; y <= 1; y += 0.1) {
+            this.bolt.push({ x: x, y: y });
+            x += Utils.random(-0.03, 0.03);
+        }
+    }
+
+    /**
+     * Summary of the weather seen this run
+     */
+    getSummary() {
+        return this.history.slice(-4).join(' → ');
+    }
+}
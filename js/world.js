@@ -10,40 +10,116 @@ class World {
         
         // World configuration
         this.groundY = canvasHeight - 100; // Base rooftop level
-        this.scrollSpeed = 6;
-        this.baseSpeed = 6;
-        this.maxSpeed = 14;
-        this.speedIncreaseRate = 0.0003;
+        
+        // Difficulty profile (see difficulty.js) - curves for speed, gaps, widths and heights
+        this.profileId = DifficultyProfiles.defaultProfile;
+        this.baseSpeed = DifficultyProfiles.getSettings(this.profileId, 0).speed;
+        this.scrollSpeed = this.baseSpeed;
         
         // Buildings (platforms the player runs on)
         this.buildings = [];
         
         // Object pool for buildings
         this.buildingPool = new ObjectPool(
-            () => ({ x: 0, y: 0, width: 0, height: 0, active: false, style: 0 }),
-            (obj) => { obj.active = false; },
+            () => ({
+                x: 0, y: 0, width: 0, height: 0, active: false, style: 0,
+                variant: 'static', triggered: false, triggerTimer: 0, sinkVelocity: 0,
+                originalWidth: 0, minWidth: 0, jumpCheck: null
+            }),
+            (obj) => { obj.active = false; obj.windowPattern = null; },
             15
         );
         
+        // Rooftop obstacles (see obstacles.js)
+        this.obstacles = [];
+        this.obstaclePool = new ObjectPool(
+            () => Obstacles.create(),
+            (obj) => Obstacles.reset(obj),
+            10
+        );
+        this.obstacleSpacing = 160; // Minimum distance between obstacles on a roof
+        this.landingZone = 140;     // Clear roof kept at the front for landing
+        this.edgeZone = 80;         // Clear run-up kept before the edge
+        
+        // Collectibles (see pickups.js)
+        this.pickups = [];
+        this.pickupPool = new ObjectPool(
+            () => Pickups.create(),
+            (obj) => Pickups.reset(obj),
+            30
+        );
+        this.shardArcChance = 0.35;  // Chance of a shard arc over a gap
+        this.shardRowChance = 0.3;   // Chance of a shard row on a rooftop
+        this.powerUpChance = 0.1;    // Chance of a power-up on a rooftop
+        
+        // Moving platforms (see platforms.js) bridging gaps too wide to jump
+        this.platforms = [];
+        this.platformPool = new ObjectPool(
+            () => MovingPlatforms.create(),
+            (obj) => MovingPlatforms.reset(obj),
+            4
+        );
+        this.movingPlatformChance = 0.15;
+        this.movingPlatformMinDifficulty = 1.3;
+        
+        // Hand-authored set-pieces (see chunks.js) mixed into the procedural stream
+        this.chunks = LevelChunks.library.slice();
+        this.chunkChance = 0.12;
+        this.minChunkSpacing = 4;  // Procedural buildings between two chunks
+        this.buildingsSinceChunk = 0;
+        
+        // Player jump characteristics, used to work out what gaps can be cleared
+        this.jumpProfile = { jumpPower: -12, holdPower: -0.3, holdTime: 150, width: 32 };
+        this.playerX = 100; // Screen x the runner takes off from, for predicting arrival speed
+        
+        // Fraction of the longest possible jump a generated gap may use (1 = pixel perfect)
+        // Every building records the check it passed in building.jumpCheck
+        this.fairnessMargin = 0.85;
+        
+        // Glass-fronted buildings the player can crash through
+        this.glassChance = 0.25;       // Chance for a taller static building to have a glass band
+        this.minInteriorHeight = 70;   // Floor-to-roof clearance needed for an interior run
+        this.roofThickness = 8;
+        
+        // Visual events for the game to turn into particles ({ type, x, y })
+        this.pendingEffects = [];
+        
+        // Temporary slowdown (fraction of speed lost) - held for a moment, then ramps back
+        this.speedPenalty = 0;
+        this.maxSpeedPenalty = 0.6;      // Most speed all the slowdowns together can take away
+        this.speedRecoveryRate = 0.0004; // Penalty recovered per ms
+        this.speedRecoveryDelay = 300;   // ms after a hit before speed starts coming back
+        this.speedRecoveryTimer = 0;
+        this.lastScrollAmount = 0;
+        
+        // Seeded random streams (set in setSeed)
+        // Buildings and skyline use separate streams so frame timing never changes the course
+        this.seed = 0;
+        this.rng = Math.random;
+        this.skylineRng = Math.random;
+        
         // Generation state
         this.worldOffset = 0;
         this.lastBuildingEnd = 0;
         this.distanceTraveled = 0;
         this.difficulty = 1;
+        this.district = Districts.getBlend(0); // Blend at the player's position
         
-        // Building generation params
-        this.minBuildingWidth = 200;
-        this.maxBuildingWidth = 500;
-        this.minGap = 80;
-        this.maxGap = 200;
-        this.heightVariation = 80; // Max height difference between buildings
+        // Narrowest gap a reachability repair will shrink to
+        this.minRepairGap = 40;
         
         // Parallax layers
         this.backgroundLayers = [];
         
-        // Rain particles
+        // Weather (see weather.js) - seeded from the run seed in setSeed
+        this.weather = new WeatherSystem();
+        
+        // Boss encounters (see bosses.js) at distance milestones
+        this.bosses = new BossSystem();
+        
+        // Rain particles, how many fall depends on the weather
         this.raindrops = [];
-        this.maxRaindrops = 100;
+        this.maxRaindrops = 250;
         
         // Assets reference
         this.assets = null;
@@ -52,13 +128,232 @@ class World {
     /**
      * Initialize world with assets
      */
-    init(assets) {
+    init(assets, seed = Utils.generateSeed()) {
         this.assets = assets;
+        this.setSeed(seed);
         this.initRain();
         this.initBackgroundLayers();
         this.generateInitialBuildings();
     }
 
+    /**
+     * Seed the random streams that drive generation
+     * The same seed always produces the same rooftops and skyline
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.rng = Utils.createSeededRandom(this.seed);
+        this.skylineRng = Utils.createSeededRandom(this.seed ^ 0x5bd1e995);
+        this.weather.setSeed(this.seed ^ 0x2545f491);
+        this.bosses.setSeed(this.seed ^ 0x68e31da4);
+    }
+
+    /**
+     * Take the jump characteristics the generator must respect from the player
+     */
+    setJumpProfile(player) {
+        this.jumpProfile = {
+            jumpPower: player.jumpPower,
+            holdPower: player.jumpHoldPower,
+            holdTime: player.maxJumpHoldTime,
+            width: player.width
+        };
+        this.playerX = player.homeX;
+    }
+
+    /**
+     * Switch difficulty profile, takes effect from the next reset
+     */
+    setProfile(id) {
+        this.profileId = DifficultyProfiles.resolve(id);
+        this.baseSpeed = DifficultyProfiles.getSettings(this.profileId, 0).speed;
+    }
+
+    /**
+     * Distance the player will have travelled on reaching screen position x
+     */
+    getDistanceAt(x) {
+        return this.distanceTraveled + Math.max(0, x - this.playerX);
+    }
+
+    /**
+     * Profile curve values (speed, gaps, widths...) when the player reaches screen position x
+     */
+    getSettingsAt(x) {
+        return DifficultyProfiles.getSettings(this.profileId, this.getDistanceAt(x));
+    }
+
+    /**
+     * District blend ({ from, to, t }) when the player reaches screen position x
+     */
+    getDistrictAt(x) {
+        return Districts.getBlend(this.getDistanceAt(x));
+    }
+
+    /**
+     * Plain summary of a building for records such as death reports
+     * ({ variant, district, start, height } - start is the distance its roof begins at)
+     */
+    describeBuilding(building) {
+        const district = Districts.getDominant(building.district || this.district);
+        return {
+            variant: building.variant || 'static',
+            district: Districts.types[district].name,
+            start: Math.round(this.distanceTraveled + building.x - this.playerX),
+            height: Math.round(this.canvasHeight - building.y)
+        };
+    }
+
+    /**
+     * Predicted scroll speed when the player reaches screen position x
+     */
+    getSpeedAt(x) {
+        return this.getSettingsAt(x).speed;
+    }
+
+    /**
+     * Slowest the player can be going at screen position x - a crate, a window or a
+     * hard landing just before takeoff can leave them up to maxSpeedPenalty down
+     */
+    getSlowestSpeedAt(x) {
+        return this.getSpeedAt(x) * (1 - this.maxSpeedPenalty);
+    }
+
+    /**
+     * Strongest wind expected when the player reaches screen position x
+     */
+    getWindAt(x) {
+        return this.weather.getMaxWindAt(this.getDistanceAt(x));
+    }
+
+    /**
+     * Longest gap a full-height jump can clear (maximum arc)
+     * fromY/toY are the takeoff and landing roof levels, only a headwind shortens it
+     */
+    getMaxJumpDistance(fromY, toY, speed = this.scrollSpeed, wind = 0) {
+        const jump = physics.simulateJump({
+            speed: speed,
+            jumpPower: this.jumpProfile.jumpPower,
+            holdPower: this.jumpProfile.holdPower,
+            holdTime: this.jumpProfile.holdTime,
+            startY: fromY,
+            targetY: toY,
+            wind: Math.min(0, wind)
+        });
+        if (jump.apexY > toY) return 0; // Can't get that high at all
+        
+        // Feet leave at the edge, but the body must clear the far wall
+        return jump.distance - this.jumpProfile.width / 2;
+    }
+
+    /**
+     * Distance covered by the shortest possible jump, a tap (minimum arc)
+     * Only a tailwind lengthens it
+     */
+    getMinJumpDistance(fromY, toY, speed = this.scrollSpeed, wind = 0) {
+        return physics.predictLanding(0, fromY, speed, this.jumpProfile.jumpPower, toY, Math.max(0, wind)).x;
+    }
+
+    /**
+     * Where the player will actually leave a building from
+     * y is the lowest level they may leave from, roofY the highest (for tap jumps).
+     * Crumbling roofs lose their far edge, collapsing roofs sink before the edge is reached,
+     * and glass-fronted buildings can be left from the interior floor (after the speed lost
+     * crashing in, which getSlowestSpeedAt allows for).
+     */
+    getTakeoff(building) {
+        if (!building) {
+            return { x: this.lastBuildingEnd, y: this.groundY, roofY: this.groundY };
+        }
+        if (building.variant === 'crumbling') {
+            return { x: building.x + building.minWidth, y: building.y, roofY: building.y };
+        }
+        if (building.variant === 'collapsing') {
+            return {
+                x: building.x + building.width,
+                y: building.y + BuildingVariants.types.collapsing.maxTakeoffSink,
+                roofY: building.y
+            };
+        }
+        if (building.interior) {
+            return { x: building.x + building.width, y: building.y + building.interior.depth, roofY: building.y };
+        }
+        return { x: building.x + building.width, y: building.y, roofY: building.y };
+    }
+
+    /**
+     * Make sure the next building can be reached from the last one
+     * Simulates the maximum and minimum jump arcs and repairs the layout when needed:
+     * lowers roofs that are too high, narrows gaps that are too wide and widens
+     * roofs a tap jump would overshoot. Returns the (possibly repaired) layout.
+     * The longest jump is worked out at the slowest the player can be going, the
+     * shortest at full speed.
+     */
+    ensureReachable(lastBuilding, layout) {
+        let { gap, y, width } = layout;
+        const takeoff = this.getTakeoff(lastBuilding);
+        const lostEdge = this.lastBuildingEnd - takeoff.x;
+        const speed = this.getSpeedAt(this.lastBuildingEnd);
+        const slowestSpeed = this.getSlowestSpeedAt(this.lastBuildingEnd);
+        const wind = this.getWindAt(this.lastBuildingEnd);
+        const check = { gap: gap, speed: speed, slowestSpeed: slowestSpeed, wind: wind, repaired: [] };
+        
+        // Glass buildings are entered through the window, level with their floor
+        const targetY = () => layout.interiorDepth ? y + layout.interiorDepth : y;
+        
+        // Too high to reach at all - bring the roof down
+        if (this.getMaxJumpDistance(takeoff.y, targetY(), slowestSpeed, wind) <= 0) {
+            const apexY = physics.simulateJump({
+                speed: slowestSpeed,
+                jumpPower: this.jumpProfile.jumpPower,
+                holdPower: this.jumpProfile.holdPower,
+                holdTime: this.jumpProfile.holdTime,
+                startY: takeoff.y
+            }).apexY;
+            const reachableY = takeoff.y - (takeoff.y - apexY) * this.fairnessMargin;
+            y += reachableY - targetY();
+            check.repaired.push('height');
+        }
+        
+        // Too wide - narrow the gap, or failing that stop the edge crumbling so far
+        const maxReach = this.getMaxJumpDistance(takeoff.y, targetY(), slowestSpeed, wind);
+        const allowed = maxReach * this.fairnessMargin;
+        if (gap + lostEdge > allowed) {
+            gap = Math.max(this.minRepairGap, allowed - lostEdge);
+            if (gap + lostEdge > allowed && lastBuilding) {
+                lastBuilding.minWidth = Math.min(
+                    lastBuilding.originalWidth,
+                    lastBuilding.minWidth + (gap + lostEdge - allowed)
+                );
+            }
+            check.repaired.push('gap');
+        }
+        
+        // Even the shortest jump, a tap from the start of the roof, must land on the next one
+        const runUp = lastBuilding ? takeoff.x - lastBuilding.x : 0;
+        const tap = this.fitTapJump(takeoff.roofY, targetY(), runUp, gap, width, speed, wind);
+        if (tap.width > width) {
+            width = tap.width;
+            check.repaired.push('width');
+        }
+        
+        check.maxReach = maxReach;
+        check.minReach = tap.minReach;
+        return { gap, y, width, check };
+    }
+
+    /**
+     * Widen a roof so a tap jump - the shortest there is - taken runUp before the
+     * takeoff edge still lands on it. Returns the width and the tap's reach.
+     */
+    fitTapJump(fromY, toY, runUp, gap, width, speed, wind) {
+        const minReach = this.getMinJumpDistance(fromY, toY, speed, wind);
+        return {
+            width: Math.max(width, minReach / this.fairnessMargin - runUp - gap),
+            minReach: minReach
+        };
+    }
+
     /**
      * Initialize parallax background layers
      */
@@ -79,19 +374,28 @@ class World {
         const totalWidth = this.canvasWidth * 3;
         
         for (let i = 0; i < count; i++) {
-            const width = Utils.randomInt(80, 200);
-            const height = Utils.randomInt(100, 300) * depth + 80;
+            const width = Utils.randomInt(80, 200, this.skylineRng);
             buildings.push({
                 x: (i / count) * totalWidth - 100,
                 width: width,
-                height: height,
-                style: Utils.randomInt(0, 2),
+                height: this.getSkylineHeight(depth),
+                style: Utils.randomInt(0, 2, this.skylineRng),
+                seed: Utils.randomInt(0, 4294967295, this.skylineRng),
+                district: this.district,
                 image: null
             });
         }
         return buildings;
     }
 
+    /**
+     * Height for a skyline building in the current district
+     */
+    getSkylineHeight(depth) {
+        const range = Districts.mix(this.district, 'skylineHeight');
+        return Utils.randomInt(Math.round(range[0]), Math.round(range[1]), this.skylineRng) * depth + 80;
+    }
+
     /**
      * Initialize rain particles
      */
@@ -124,44 +428,525 @@ class World {
      * Generate the next building with a gap
      */
     generateNextBuilding() {
-        // Calculate gap based on difficulty
-        const difficultyMultiplier = Math.min(this.difficulty, 2);
-        const gap = Utils.random(
-            this.minGap * difficultyMultiplier,
-            this.maxGap * difficultyMultiplier
-        );
+        // A boss chasing by then keeps to plain rooftops with room for its strikes
+        const boss = this.bosses.getGenerationAt(this.getDistanceAt(this.lastBuildingEnd));
+        
+        // Now and then splice in an authored set-piece
+        this.buildingsSinceChunk++;
+        if (!boss && this.buildingsSinceChunk > this.minChunkSpacing && this.rng() < this.chunkChance) {
+            const chunk = LevelChunks.pick(this.chunks, this.difficulty, this.rng);
+            if (chunk) {
+                this.spliceChunk(chunk);
+                this.buildingsSinceChunk = 0;
+                return;
+            }
+        }
+        
+        // The district the player will be in by then shapes the architecture and hazards
+        const district = this.getDistrictAt(this.lastBuildingEnd);
+        
+        // Occasionally bridge an unjumpable gap with a moving platform
+        const platformChance = this.movingPlatformChance * Districts.mix(district, 'hazards.platforms');
+        if (!boss && this.difficulty >= this.movingPlatformMinDifficulty && this.rng() < platformChance &&
+            this.generatePlatformGap()) {
+            return;
+        }
+        
+        // Gap, width and height ranges from the profile curves, at the distance
+        // the player will reach this building
+        const settings = this.getSettingsAt(this.lastBuildingEnd);
+        const gap = Utils.random(settings.gapMin, settings.gapMax, this.rng) * (boss ? boss.gapScale : 1);
+        const width = Utils.random(settings.widthMin, settings.widthMax, this.rng) *
+            Districts.mix(district, 'widthScale') * (boss ? boss.widthScale : 1);
+        
+        // Height variation - buildings can be higher or lower, within the district's roof band
+        const lastBuilding = this.buildings[this.buildings.length - 1];
+        const baseY = lastBuilding ? lastBuilding.y : this.groundY;
+        const variation = settings.heightVariation * Districts.mix(district, 'heightScale');
+        const heightChange = Utils.random(-variation, variation, this.rng);
+        const roofRange = Districts.mix(district, 'roofRange');
+        let newY = Utils.clamp(baseY + heightChange, this.groundY + roofRange[0], this.groundY + roofRange[1]);
         
-        // Building width decreases slightly with difficulty
-        const widthReduction = Math.min(this.difficulty * 20, 150);
-        const width = Utils.random(
-            Math.max(this.minBuildingWidth - widthReduction, 120),
-            Math.max(this.maxBuildingWidth - widthReduction, 250)
+        const variant = boss ? 'static' : BuildingVariants.pickType(
+            this.difficulty, this.rng, Districts.mixWeights(district, 'hazards.variants')
         );
         
-        // Height variation - buildings can be higher or lower
+        // Some taller buildings get a glass band at running height to crash through
+        // The interior floor sits level with the previous roof
+        let interiorDepth = 0;
+        const glassChance = boss ? 0 : this.glassChance * Districts.mix(district, 'hazards.glass');
+        if (variant === 'static' && lastBuilding && this.rng() < glassChance) {
+            const raisedY = Math.min(newY, baseY - this.minInteriorHeight);
+            if (raisedY >= this.groundY + roofRange[0]) {
+                newY = raisedY;
+                interiorDepth = baseY - newY;
+            }
+        }
+        
+        // Check the jump can physically be made, repairing the layout if not
+        const layout = this.ensureReachable(lastBuilding, {
+            gap: gap,
+            y: newY,
+            width: this.limitCollapseWidth(variant, width),
+            interiorDepth: interiorDepth
+        });
+        newY = Utils.clamp(layout.y, this.groundY - 100, this.groundY + 60);
+        
+        const x = this.lastBuildingEnd + layout.gap;
+        const building = this.addBuilding(x, newY, layout.width, variant);
+        building.jumpCheck = layout.check;
+        if (interiorDepth > 0) {
+            building.interior = { depth: interiorDepth, broken: false, exitBroken: false };
+        }
+        
+        // Shards along the jump arc into this building
+        if (lastBuilding && this.rng() < this.shardArcChance) {
+            this.placeShardArc(this.lastBuildingEnd, baseY, x, newY);
+        }
+        this.lastBuildingEnd = x + building.width;
+        
+        this.populateRooftop(building, boss ? boss.obstacleScale : 1);
+    }
+
+    /**
+     * Add chunks (JSON text, a chunk or an array of chunks) to this world's library
+     * Returns the chunks that passed validation
+     */
+    loadChunks(data) {
+        const chunks = LevelChunks.parse(data);
+        this.chunks.push(...chunks);
+        return chunks;
+    }
+
+    /**
+     * Build an authored chunk after the last building
+     * Every jump still goes through ensureReachable, so a chunk authored for slower
+     * speeds is nudged rather than made impossible. Obstacles and pickups move with
+     * the building they belong to.
+     */
+    spliceChunk(chunk) {
+        let lastBuilding = this.buildings[this.buildings.length - 1];
+        const entryY = lastBuilding ? lastBuilding.y : this.groundY;
+        const startX = this.lastBuildingEnd;
+        const placed = [];
+        let authoredEnd = 0;
+        
+        for (const def of chunk.buildings) {
+            const baseY = lastBuilding ? lastBuilding.y : this.groundY;
+            const authoredY = entryY - def.height;
+            let y = Utils.clamp(authoredY, this.groundY - 100, this.groundY + 60);
+            
+            // Glass band only works if the roof is high enough above the one before
+            const interiorDepth = def.glass && baseY - y >= this.minInteriorHeight ? baseY - y : 0;
+            
+            const layout = this.ensureReachable(lastBuilding, {
+                gap: def.x - authoredEnd,
+                y: y,
+                width: this.limitCollapseWidth(def.variant, def.width),
+                interiorDepth: interiorDepth
+            });
+            y = Utils.clamp(layout.y, this.groundY - 100, this.groundY + 60);
+            
+            const x = this.lastBuildingEnd + layout.gap;
+            const building = this.addBuilding(x, y, layout.width, def.variant);
+            building.jumpCheck = layout.check;
+            building.jumpCheck.chunk = chunk.id;
+            if (interiorDepth > 0) {
+                building.interior = { depth: interiorDepth, broken: false, exitBroken: false };
+            }
+            
+            placed.push({ building, shiftX: x - (startX + def.x), shiftY: y - authoredY });
+            this.lastBuildingEnd = x + building.width;
+            authoredEnd = def.x + def.width;
+            lastBuilding = building;
+        }
+        
+        for (const def of chunk.obstacles) {
+            const index = LevelChunks.getBuildingIndex(chunk, def.x, Obstacles.types[def.type].width);
+            const building = placed[index].building;
+            const offsetX = def.x - chunk.buildings[index].x;
+            if (offsetX + Obstacles.types[def.type].width > building.width) continue; // Roof was shortened
+            
+            const obstacle = this.addObstacle(building, def.type, offsetX);
+            obstacle.hanging = !!Obstacles.types[def.type].hangHeight;
+        }
+        
+        for (const def of chunk.pickups) {
+            // Pickups over a gap belong to the building after it
+            let index = chunk.buildings.findIndex(b => def.x <= b.x + b.width);
+            if (index === -1) index = placed.length - 1;
+            
+            const pickup = this.addPickup(
+                def.type,
+                startX + def.x + placed[index].shiftX,
+                entryY - def.height + placed[index].shiftY
+            );
+            if (def.type === 'powerup') {
+                pickup.powerUp = def.powerUp || PowerUps.pickType(this.rng);
+            }
+        }
+    }
+
+    /**
+     * Keep collapsing roofs short enough to leave before they sink past maxTakeoffSink
+     */
+    limitCollapseWidth(variant, width) {
+        if (variant !== 'collapsing') return width;
+        
+        const def = BuildingVariants.types.collapsing;
+        const sinkTime = Math.sqrt(2 * def.maxTakeoffSink / def.sinkAcceleration);
+        const pxPerMs = this.getSpeedAt(this.lastBuildingEnd) / 16.67;
+        return Math.min(width, (def.triggerDelay + sinkTime) * pxPerMs);
+    }
+
+    /**
+     * Generate a gap too wide to jump, with a moving platform in the middle
+     * Each half of the crossing stays within jumping range wherever the platform is on its path
+     * Returns false, adding nothing, when the gap would not need a platform
+     */
+    generatePlatformGap() {
         const lastBuilding = this.buildings[this.buildings.length - 1];
         const baseY = lastBuilding ? lastBuilding.y : this.groundY;
-        const heightChange = Utils.random(-this.heightVariation, this.heightVariation);
-        const newY = Utils.clamp(baseY + heightChange, this.groundY - 100, this.groundY + 60);
+        const type = Utils.randomChoice(Object.keys(MovingPlatforms.types), this.rng);
+        const def = MovingPlatforms.types[type];
+        
+        // Platform rides roughly level with the takeoff roof, landing roof close to it
+        const platformY = Utils.clamp(baseY + Utils.random(-20, 20, this.rng), this.groundY - 100, this.groundY + 40);
+        const newY = Utils.clamp(platformY + Utils.random(-20, 20, this.rng), this.groundY - 100, this.groundY + 60);
+        
+        // Worst cases: platform at the top of its path, then leaving it from the bottom
+        // Uncertain takeoff edges (crumbling, collapsing) just fall back to a normal building
+        const takeoff = this.getTakeoff(lastBuilding);
+        const speed = this.getSpeedAt(this.lastBuildingEnd);
+        const slowestSpeed = this.getSlowestSpeedAt(this.lastBuildingEnd);
+        const wind = this.getWindAt(this.lastBuildingEnd);
+        const amplitudeY = def.amplitudeY || 0;
+        const reach = takeoff.x < this.lastBuildingEnd || takeoff.y !== baseY ? 0 : Math.min(
+            this.getMaxJumpDistance(baseY, platformY - amplitudeY, slowestSpeed, wind),
+            this.getMaxJumpDistance(platformY + amplitudeY, newY, slowestSpeed, wind)
+        );
+        
+        // Widest gap where each hop is within the fairness margin with the platform at its worst position
+        const range = MovingPlatforms.getHorizontalRange(type);
+        const maxHop = reach * this.fairnessMargin - range;
+        const gap = def.width + maxHop * 2 * Utils.random(0.8, 1, this.rng);
+        
+        // Only worth it if the gap could not be jumped in one go - by a slowed-down
+        // runner, the speed every crossing is sized for
+        if (maxHop <= 0 || gap <= this.getMaxJumpDistance(baseY, newY, slowestSpeed, wind)) {
+            return false;
+        }
+        
+        this.addPlatform(type, this.lastBuildingEnd + gap / 2, platformY);
         
         const x = this.lastBuildingEnd + gap;
-        this.addBuilding(x, newY, width);
+        const settings = this.getSettingsAt(x);
+        let width = Utils.random(settings.widthMin, settings.widthMax, this.rng);
+        
+        // A tap off the near end of the platform, at the top of its path and furthest
+        // along, must not overshoot the landing roof
+        // The check's gap is measured from the platform's far end in that position
+        const platformStart = this.lastBuildingEnd + gap / 2 - def.width / 2 + range;
+        const hop = x - (platformStart + def.width);
+        const check = { gap: hop, speed: speed, slowestSpeed: slowestSpeed, wind: wind, repaired: [], platform: type };
+        const tap = this.fitTapJump(platformY - amplitudeY, newY, def.width, hop, width, speed, wind);
+        if (tap.width > width) {
+            width = tap.width;
+            check.repaired.push('width');
+        }
+        check.maxReach = this.getMaxJumpDistance(platformY + amplitudeY, newY, slowestSpeed, wind);
+        check.minReach = tap.minReach;
+        
+        const building = this.addBuilding(x, newY, width);
+        building.jumpCheck = check;
         this.lastBuildingEnd = x + width;
+        this.populateRooftop(building);
+        return true;
+    }
+
+    /**
+     * Add a moving platform centred on anchorX, with its top at anchorY
+     */
+    addPlatform(type, anchorX, anchorY) {
+        const def = MovingPlatforms.types[type];
+        const platform = this.platformPool.get();
+        platform.type = type;
+        platform.width = def.width;
+        platform.height = def.height;
+        platform.anchorX = anchorX;
+        platform.anchorY = anchorY;
+        platform.time = 0;
+        platform.active = true;
+        
+        const position = MovingPlatforms.getPosition(platform, 0);
+        platform.x = position.x;
+        platform.y = position.y;
+        this.platforms.push(platform);
+        return platform;
+    }
+
+    /**
+     * Move platforms along their paths and scroll them with the world
+     */
+    updatePlatforms(deltaTime, scrollAmount) {
+        const step = deltaTime / 16.67;
+        
+        for (let i = this.platforms.length - 1; i >= 0; i--) {
+            const platform = this.platforms[i];
+            platform.anchorX -= scrollAmount;
+            platform.time += deltaTime;
+            
+            const position = MovingPlatforms.getPosition(platform, platform.time);
+            platform.deltaX = position.x - (platform.x - scrollAmount);
+            platform.deltaY = position.y - platform.y;
+            platform.velocityX = step > 0 ? platform.deltaX / step : 0;
+            platform.velocityY = step > 0 ? platform.deltaY / step : 0;
+            platform.x = position.x;
+            platform.y = position.y;
+            
+            if (platform.anchorX + platform.width + 100 < 0) {
+                this.platforms.splice(i, 1);
+                this.platformPool.release(platform);
+            }
+        }
+    }
+
+    /**
+     * Place a parabola of shards across a gap
+     * The arc peaks high above the takeoff edge, rewarding a full-height jump
+     */
+    placeShardArc(fromX, fromY, toX, toY) {
+        const gap = toX - fromX;
+        const count = Math.max(3, Math.floor(gap / 35));
+        const peak = Utils.random(60, 110, this.rng);
+        
+        for (let i = 0; i <= count; i++) {
+            const t = i / count;
+            const x = Utils.lerp(fromX - 20, toX + 20, t);
+            const y = Utils.lerp(fromY, toY, t) - 30 - Math.sin(t * Math.PI) * peak;
+            this.addPickup('shard', x, y);
+        }
+    }
+
+    /**
+     * Place a row of shards on a rooftop
+     * Rows running over an obstacle are lifted so they must be jumped for,
+     * rows under an overhead obstacle stay low for sliding
+     */
+    placeShardRow(building, fromOffset, toOffset) {
+        const spacing = 30;
+        for (let offset = fromOffset; offset <= toOffset; offset += spacing) {
+            const x = building.x + offset;
+            const overObstacle = this.obstacles.some(o =>
+                o.building === building && !Obstacles.types[o.type].clearance &&
+                x + 12 > o.x - 20 && x < o.x + o.width + 20
+            );
+            const y = building.y - (overObstacle ? 90 : 30);
+            this.addPickup('shard', x, y);
+        }
+    }
+
+    /**
+     * Add a pickup at a world position
+     */
+    addPickup(type, x, y) {
+        const def = Pickups.types[type];
+        const pickup = this.pickupPool.get();
+        pickup.type = type;
+        pickup.width = def.width;
+        pickup.height = def.height;
+        pickup.x = x - def.width / 2;
+        pickup.y = y - def.height / 2;
+        pickup.phase = x * 0.05;
+        pickup.active = true;
+        this.pickups.push(pickup);
+        return pickup;
+    }
+
+    /**
+     * Remove a collected pickup
+     */
+    collectPickup(pickup) {
+        const index = this.pickups.indexOf(pickup);
+        if (index !== -1) {
+            this.pickups.splice(index, 1);
+            this.pickupPool.release(pickup);
+        }
+    }
+
+    /**
+     * Place obstacles on a building's rooftop
+     * Keeps a clear landing zone at the front and a run-up before the edge
+     * densityScale thins obstacles out (e.g. while a boss is chasing)
+     */
+    populateRooftop(building, densityScale = 1) {
+        const landingZone = this.landingZone;
+        const edgeZone = this.edgeZone;
+        const usable = building.width - landingZone - edgeZone;
+        if (usable <= 0) return;
+        
+        // Obstacle density ramps up with difficulty
+        const density = Math.min(0.3 + (this.difficulty - 1) * 0.35, 1) * densityScale;
+        
+        // Debris buildings only carry their billboard (none on a roof too short for it)
+        const maxCount = building.variant === 'debris' ? 0 : Math.floor(usable / this.obstacleSpacing) + 1;
+        
+        if (building.variant === 'debris' && usable >= Obstacles.types.billboard.width) {
+            const billboard = this.addObstacle(
+                building, 'billboard',
+                landingZone + Utils.random(0, usable - Obstacles.types.billboard.width, this.rng)
+            );
+            billboard.hanging = true;
+        }
+        
+        const obstacleWeights = Districts.mixWeights(building.district, 'hazards.obstacles');
+        let offset = landingZone;
+        for (let i = 0; i < maxCount; i++) {
+            if (this.rng() > density) continue;
+            
+            const type = Obstacles.pickType(this.difficulty, this.rng, obstacleWeights);
+            if (!type) break;
+            const slot = Utils.random(0, this.obstacleSpacing * 0.5, this.rng);
+            const offsetX = offset + slot;
+            if (offsetX + Obstacles.types[type].width > building.width - edgeZone) break;
+            
+            this.addObstacle(building, type, offsetX);
+            offset = offsetX + this.obstacleSpacing;
+        }
+        
+        // Shard row along the rooftop
+        if (this.rng() < this.shardRowChance) {
+            const start = Utils.random(landingZone * 0.5, landingZone, this.rng);
+            const length = Utils.random(90, 200, this.rng);
+            this.placeShardRow(building, start, Math.min(start + length, building.width - edgeZone));
+        }
+        
+        // Power-up floating at jump height
+        if (this.rng() < this.powerUpChance) {
+            const pickup = this.addPickup(
+                'powerup',
+                building.x + Utils.random(landingZone, building.width - edgeZone, this.rng),
+                building.y - 70
+            );
+            pickup.powerUp = PowerUps.pickType(this.rng);
+        }
+    }
+
+    /**
+     * Add an obstacle on top of a building
+     */
+    addObstacle(building, type, offsetX) {
+        const def = Obstacles.types[type];
+        const obstacle = this.obstaclePool.get();
+        obstacle.type = type;
+        obstacle.width = def.width;
+        obstacle.height = def.height;
+        obstacle.building = building;
+        obstacle.offsetX = offsetX;
+        obstacle.x = building.x + offsetX;
+        obstacle.y = building.y - (def.clearance || 0) - def.height;
+        obstacle.active = true;
+        this.obstacles.push(obstacle);
+        return obstacle;
+    }
+
+    /**
+     * How much of a roof's front a boss blast may take away
+     * The widened gap in front must stay within the jump this building was checked for,
+     * and a tap off what is left must still reach the next roof (see ensureReachable)
+     */
+    getBlastRoom(building) {
+        const index = this.buildings.indexOf(building);
+        const previous = this.buildings[index - 1];
+        const next = this.buildings[index + 1];
+        if (!previous || !next || !building.jumpCheck || !next.jumpCheck) return 0;
+        if (building.variant !== 'static' || building.interior || building.jumpCheck.platform) return 0;
+        
+        const takeoff = this.getTakeoff(previous);
+        const roomIn = building.jumpCheck.maxReach * this.fairnessMargin - (building.x - takeoff.x);
+        const roomOut = next.x + next.width - building.x - next.jumpCheck.minReach / this.fairnessMargin;
+        const roomLeft = building.width - Bosses.minRoofLeft;
+        return Math.max(0, Math.min(roomIn, roomOut, roomLeft));
+    }
+
+    /**
+     * Blow away the front of a roof, widening the gap before it
+     * Obstacles that stood on the lost stretch tumble into the gap
+     */
+    blastRoof(building, width) {
+        building.x += width;
+        building.width -= width;
+        building.originalWidth = building.width;
+        building.minWidth = building.width;
+        building.jumpCheck.gap += width;
+        building.jumpCheck.blast = width;
+        building.windowPattern = null;
+        building.image = null;
+        
+        for (const obstacle of this.obstacles) {
+            if (obstacle.building !== building) continue;
+            obstacle.offsetX -= width;
+            if (obstacle.offsetX < 0) this.knockObstacle(obstacle, 0);
+        }
+        
+        // Cosmetic only, so not drawn from the run seed
+        for (let i = 0; i < 6; i++) {
+            this.pendingEffects.push({
+                type: 'collapse',
+                x: building.x - Math.random() * width,
+                y: building.y
+            });
+        }
+    }
+
+    /**
+     * Find a free stretch of roof for an obstacle, clear of the landing zone,
+     * the run-up and other obstacles, between screen positions minX and maxX.
+     * Returns an offset from the roof start, or null
+     */
+    findObstacleSpot(building, type, rng = Math.random, minX = -Infinity, maxX = Infinity) {
+        if (building.variant !== 'static') return null;
+        
+        const width = Obstacles.types[type].width;
+        const spacing = this.obstacleSpacing / 2;
+        const from = Math.max(this.landingZone, minX - building.x);
+        const to = Math.min(building.width - this.edgeZone, maxX - building.x) - width;
+        if (to <= from) return null;
+        
+        const offset = Utils.random(from, to, rng);
+        const blocked = this.obstacles.some(o =>
+            o.building === building && offset < o.offsetX + o.width + spacing && offset + width + spacing > o.offsetX
+        );
+        return blocked ? null : offset;
     }
 
     /**
      * Add a building to the world
      */
-    addBuilding(x, y, width) {
+    addBuilding(x, y, width, variant = 'static') {
         const building = this.buildingPool.get();
         building.x = x;
         building.y = y;
         building.width = width;
+        building.originalWidth = width;
+        building.minWidth = variant === 'crumbling'
+            ? width * BuildingVariants.types.crumbling.minWidthRatio
+            : width;
+        building.variant = variant;
+        building.jumpCheck = null; // Reachability check this building passed (see ensureReachable)
+        building.triggered = false;
+        building.triggerTimer = 0;
+        building.sinkVelocity = 0;
+        building.interior = null; // { depth, broken, exitBroken } for glass-fronted buildings
         building.height = this.canvasHeight - y + 200; // Extends below screen
+        building.district = this.getDistrictAt(x); // { from, to, t } blend, see districts.js
         building.active = true;
-        building.style = Utils.randomInt(0, 2);
+        building.style = Utils.randomInt(0, 2, this.rng);
+        building.seed = Utils.randomInt(0, 4294967295, this.rng);
+        building.windowPattern = null; // Generated lazily by renderer from seed
         building.image = null; // Generated lazily by renderer
         this.buildings.push(building);
+        return building;
     }
 
     /**
@@ -173,14 +958,17 @@ class World {
         this.worldOffset += scrollAmount;
         this.distanceTraveled += scrollAmount;
         
-        // Increase speed over time
-        this.scrollSpeed = Math.min(
-            this.maxSpeed,
-            this.baseSpeed + this.distanceTraveled * this.speedIncreaseRate
-        );
-        
-        // Increase difficulty
-        this.difficulty = 1 + (this.distanceTraveled / 3000);
+        // Speed and difficulty follow the profile curves (minus any temporary slowdown)
+        const settings = DifficultyProfiles.getSettings(this.profileId, this.distanceTraveled);
+        if (this.speedRecoveryTimer > 0) {
+            this.speedRecoveryTimer -= deltaTime;
+        } else {
+            this.speedPenalty = Math.max(0, this.speedPenalty - this.speedRecoveryRate * deltaTime);
+        }
+        this.scrollSpeed = settings.speed * (1 - this.speedPenalty);
+        this.lastScrollAmount = scrollAmount;
+        this.difficulty = settings.difficulty;
+        this.district = Districts.getBlend(this.distanceTraveled);
         
         // Update buildings
         for (let i = this.buildings.length - 1; i >= 0; i--) {
@@ -194,28 +982,222 @@ class World {
             }
         }
         
-        // Generate new buildings
-        while (this.lastBuildingEnd - this.worldOffset < this.canvasWidth + 600) {
-            this.generateNextBuilding();
-        }
+        // Collapsing and crumbling rooftops
+        this.updateBuildingVariants(deltaTime);
+        
+        // Update obstacles (before generation can reuse released buildings)
+        this.updateObstacles(deltaTime);
+        
+        // Update pickups and moving platforms
+        this.updatePickups(scrollAmount);
+        this.updatePlatforms(deltaTime, scrollAmount);
         
         // Adjust lastBuildingEnd for scroll
         this.lastBuildingEnd -= scrollAmount;
         
-        // Update rain
+        // Generate new buildings just beyond the screen, so they are built
+        // for the speed and difficulty the player will meet them at
+        while (this.lastBuildingEnd < this.canvasWidth + 600) {
+            this.generateNextBuilding();
+        }
+        
+        // Weather follows the distance run; lightning is handed to the game as an effect
+        if (this.weather.update(deltaTime, this.distanceTraveled)) {
+            this.pendingEffects.push({ type: 'lightning', x: 0, y: 0 });
+        }
+        physics.wind = this.weather.wind;
         this.updateRain(deltaTime);
         
+        // Boss encounters, after generation so strikes see the roofs ahead
+        this.bosses.update(deltaTime, this);
+        
         // Update background layers
         this.updateBackgroundLayers(scrollAmount);
     }
 
+    /**
+     * Update obstacles - keep them on their rooftop, or tumble if knocked over
+     */
+    updateObstacles(deltaTime) {
+        const step = deltaTime / 16.67;
+        
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.obstacles[i];
+            
+            if (obstacle.knocked) {
+                obstacle.velocityY += physics.gravity * step;
+                obstacle.x += obstacle.velocityX * step - this.lastScrollAmount;
+                obstacle.y += obstacle.velocityY * step;
+                obstacle.rotation += obstacle.spin * step;
+            } else if (obstacle.falling) {
+                obstacle.x = obstacle.building.x + obstacle.offsetX;
+                obstacle.velocityY += physics.gravity * step;
+                obstacle.y += obstacle.velocityY * step;
+                obstacle.rotation = Math.min(obstacle.rotation + 0.02 * step, 0.25);
+                
+                // Hit the roof - becomes wreckage
+                if (obstacle.y + obstacle.height >= obstacle.building.y) {
+                    this.landFallingObstacle(obstacle);
+                }
+            } else if (obstacle.hanging) {
+                obstacle.x = obstacle.building.x + obstacle.offsetX;
+                obstacle.y = obstacle.building.y - Obstacles.types[obstacle.type].hangHeight - obstacle.height;
+            } else {
+                obstacle.x = obstacle.building.x + obstacle.offsetX;
+                obstacle.y = obstacle.building.y - (Obstacles.types[obstacle.type].clearance || 0) - obstacle.height;
+                
+                // Roof crumbled away underneath it
+                if (obstacle.offsetX > obstacle.building.width) {
+                    this.knockObstacle(obstacle, 0);
+                }
+            }
+            
+            // Remove obstacles that left the screen
+            if (obstacle.x + obstacle.width < -50 || obstacle.y > this.canvasHeight + 100) {
+                this.obstacles.splice(i, 1);
+                this.obstaclePool.release(obstacle);
+            }
+        }
+    }
+
+    /**
+     * Scroll pickups and drop the ones that left the screen
+     */
+    updatePickups(scrollAmount) {
+        for (let i = this.pickups.length - 1; i >= 0; i--) {
+            const pickup = this.pickups[i];
+            pickup.x -= scrollAmount;
+            
+            if (pickup.x + pickup.width < -50) {
+                this.pickups.splice(i, 1);
+                this.pickupPool.release(pickup);
+            }
+        }
+    }
+
+    /**
+     * Turn a falling obstacle into the wreckage it lands as
+     */
+    landFallingObstacle(obstacle) {
+        const landed = Obstacles.types[Obstacles.types[obstacle.type].landsAs];
+        obstacle.type = Obstacles.types[obstacle.type].landsAs;
+        obstacle.width = landed.width;
+        obstacle.height = landed.height;
+        obstacle.y = obstacle.building.y - landed.height;
+        obstacle.falling = false;
+        obstacle.velocityY = 0;
+        obstacle.rotation = 0;
+        this.pendingEffects.push({
+            type: 'impact',
+            x: obstacle.x + obstacle.width / 2,
+            y: obstacle.building.y
+        });
+    }
+
+    /**
+     * Advance collapsing and crumbling buildings once triggered
+     */
+    updateBuildingVariants(deltaTime) {
+        for (const building of this.buildings) {
+            if (!building.triggered) continue;
+            const def = BuildingVariants.types[building.variant];
+            
+            if (building.variant === 'collapsing') {
+                building.triggerTimer += deltaTime;
+                if (building.triggerTimer < def.triggerDelay) continue;
+                if (building.y > this.canvasHeight + 100) continue;
+                
+                building.sinkVelocity += def.sinkAcceleration * deltaTime;
+                building.y += building.sinkVelocity * deltaTime;
+                
+                // Cosmetic only, so not drawn from the run seed
+                if (Math.random() < 0.3) {
+                    this.pendingEffects.push({
+                        type: 'collapse',
+                        x: building.x + Utils.random(0, building.width),
+                        y: building.y
+                    });
+                }
+            } else if (building.variant === 'crumbling') {
+                if (building.width <= building.minWidth) continue;
+                
+                building.width = Math.max(building.minWidth, building.width - def.crumbleRate * deltaTime);
+                this.pendingEffects.push({
+                    type: 'crumble',
+                    x: building.x + building.width,
+                    y: building.y + 4
+                });
+            }
+        }
+    }
+
+    /**
+     * React to the player's position - trigger variant buildings
+     * groundedBuilding is the building the player is standing on (or null)
+     */
+    updateHazards(entity, groundedBuilding) {
+        // Landing starts a collapse or crumble
+        if (groundedBuilding && !groundedBuilding.triggered &&
+            (groundedBuilding.variant === 'collapsing' || groundedBuilding.variant === 'crumbling')) {
+            groundedBuilding.triggered = true;
+            groundedBuilding.triggerTimer = 0;
+        }
+        
+        // Billboards drop once the player is close enough to see them fall
+        const warning = this.scrollSpeed * BuildingVariants.types.debris.triggerTime;
+        for (const obstacle of this.obstacles) {
+            if (!obstacle.hanging) continue;
+            if (obstacle.x - (entity.x + entity.width) < warning) {
+                obstacle.hanging = false;
+                obstacle.falling = true;
+                obstacle.velocityY = 0;
+            }
+        }
+    }
+
+    /**
+     * Knock an obstacle over, sending it tumbling ahead of the player
+     */
+    knockObstacle(obstacle, impactSpeed) {
+        obstacle.knocked = true;
+        obstacle.velocityX = impactSpeed * 0.6;
+        obstacle.velocityY = -5;
+        obstacle.spin = 0.25;
+    }
+
+    /**
+     * Slow the run down temporarily (amount is a fraction of current speed)
+     */
+    applySpeedPenalty(amount) {
+        this.speedPenalty = Math.min(this.maxSpeedPenalty, this.speedPenalty + amount);
+        this.speedRecoveryTimer = this.speedRecoveryDelay;
+    }
+
+    /**
+     * Get a solid obstacle (one that can be stood on) under an x position
+     */
+    getSolidObstacleAt(x) {
+        for (const obstacle of this.obstacles) {
+            if (obstacle.knocked || obstacle.hanging || obstacle.falling) continue;
+            const response = Obstacles.types[obstacle.type].response;
+            if (response !== 'solid' && response !== 'bump') continue;
+            if (x >= obstacle.x && x <= obstacle.x + obstacle.width) {
+                return obstacle;
+            }
+        }
+        return null;
+    }
+
     /**
      * Update rain particles
      */
     updateRain(deltaTime) {
+        const step = deltaTime / 16.67;
+        const drift = this.getRainDrift();
+        
         for (const drop of this.raindrops) {
-            drop.y += drop.speed * (deltaTime / 16.67);
-            drop.x -= 3 * (deltaTime / 16.67);
+            drop.y += drop.speed * this.weather.rainSpeed * step;
+            drop.x -= drift * step;
             
             if (drop.y > this.canvasHeight) {
                 drop.y = -drop.length;
@@ -223,10 +1205,26 @@ class World {
             }
             if (drop.x < -10) {
                 drop.x = this.canvasWidth + Math.random() * 50;
+            } else if (drop.x > this.canvasWidth + 60) {
+                drop.x = -Math.random() * 10;
             }
         }
     }
 
+    /**
+     * Sideways rain movement per frame - the wind blows it back and forth
+     */
+    getRainDrift() {
+        return 3 - this.weather.wind * 150;
+    }
+
+    /**
+     * How many raindrops are falling (the first n in raindrops)
+     */
+    getRainCount() {
+        return Math.round(this.maxRaindrops * this.weather.rain);
+    }
+
     /**
      * Update parallax background layers
      */
@@ -238,8 +1236,11 @@ class World {
                 // Wrap around
                 if (building.x + building.width < -100) {
                     building.x += this.canvasWidth * 3 + building.width + 100;
-                    building.height = Utils.randomInt(100, 300) * layer.speed + 80;
-                    building.style = Utils.randomInt(0, 2);
+                    building.height = this.getSkylineHeight(layer.speed);
+                    building.district = this.district;
+                    building.style = Utils.randomInt(0, 2, this.skylineRng);
+                    building.seed = Utils.randomInt(0, 4294967295, this.skylineRng);
+                    building.windowPattern = null;
                     building.image = null;
                 }
             }
@@ -256,9 +1257,68 @@ class World {
                 return building;
             }
         }
+        
+        // Moving platforms act as buildings too (check platform.moving to tell them apart)
+        for (const platform of this.platforms) {
+            if (platform.active && x >= platform.x && x <= platform.x + platform.width) {
+                return platform;
+            }
+        }
         return null;
     }
 
+    /**
+     * Get the floor an entity stands on for a building
+     * Entities inside a smashed-open building run on its interior floor
+     */
+    getSurfaceY(building, entity) {
+        if (this.isInside(building, entity)) {
+            return building.y + building.interior.depth;
+        }
+        return building.y;
+    }
+
+    /**
+     * Check if an entity is inside a building's interior section
+     */
+    isInside(building, entity) {
+        return !!(building && building.interior && building.interior.broken &&
+            entity.y + entity.height > building.y + this.roofThickness + 2);
+    }
+
+    /**
+     * Check if a wall hit lands in a building's glass band
+     */
+    hitsGlassBand(building, entity) {
+        if (!building.interior) return false;
+        const floorY = building.y + building.interior.depth;
+        return entity.y >= building.y - 6 && entity.y + entity.height <= floorY + 6;
+    }
+
+    /**
+     * Smash through a building's glass band
+     */
+    breakGlass(building) {
+        building.interior.broken = true;
+        this.pendingEffects.push({
+            type: 'glass',
+            x: building.x,
+            y: building.y + building.interior.depth / 2
+        });
+    }
+
+    /**
+     * Smash out through the far side of a building
+     */
+    breakExitGlass(building) {
+        building.interior.exitBroken = true;
+        this.pendingEffects.push({
+            type: 'glass',
+            x: building.x + building.width,
+            y: building.y + building.interior.depth / 2
+        });
+    }
+
     /**
      * Check if player is over a gap (no building beneath)
      */
@@ -279,18 +1339,32 @@ class World {
 
     /**
      * Reset world state
+     * Pass a seed to start a new course, or omit it to replay the current one
      */
-    reset() {
-        // Clear all buildings
+    reset(seed = this.seed) {
+        // Clear all buildings, obstacles, pickups and platforms
         this.buildings.forEach(b => this.buildingPool.release(b));
         this.buildings = [];
+        this.obstacles.forEach(o => this.obstaclePool.release(o));
+        this.obstacles = [];
+        this.pickups.forEach(p => this.pickupPool.release(p));
+        this.pickups = [];
+        this.platforms.forEach(p => this.platformPool.release(p));
+        this.platforms = [];
+        this.pendingEffects = [];
         
         // Reset state
         this.worldOffset = 0;
         this.lastBuildingEnd = 0;
-        this.difficulty = 1;
         this.distanceTraveled = 0;
+        this.difficulty = DifficultyProfiles.getSettings(this.profileId, 0).difficulty;
+        this.district = Districts.getBlend(0);
         this.scrollSpeed = this.baseSpeed;
+        this.speedPenalty = 0;
+        this.speedRecoveryTimer = 0;
+        this.lastScrollAmount = 0;
+        this.buildingsSinceChunk = 0;
+        this.setSeed(seed);
         
         // Regenerate
         this.initBackgroundLayers();
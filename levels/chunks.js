@@ -0,0 +1,100 @@
+/**
+ * Built-in level chunks for Cyber Runner
+ * Plain JSON inside a register call, so it also loads when index.html is opened from disk.
+ * See js/chunks.js for the format.
+ */
+
+LevelChunks.register([
+    {
+        "id": "stairway",
+        "minDifficulty": 1,
+        "maxDifficulty": 2,
+        "buildings": [
+            { "x": 100, "width": 240, "height": 30 },
+            { "x": 440, "width": 240, "height": 60 },
+            { "x": 780, "width": 320, "height": 90 }
+        ],
+        "pickups": [
+            { "type": "shard", "x": 200, "height": 70 },
+            { "type": "shard", "x": 240, "height": 70 },
+            { "type": "shard", "x": 540, "height": 100 },
+            { "type": "shard", "x": 580, "height": 100 },
+            { "type": "shard", "x": 880, "height": 130 },
+            { "type": "shard", "x": 920, "height": 130 }
+        ]
+    },
+    {
+        "id": "crate-alley",
+        "minDifficulty": 1,
+        "maxDifficulty": 3,
+        "buildings": [
+            { "x": 110, "width": 900, "height": 0 }
+        ],
+        "obstacles": [
+            { "type": "crate", "x": 300 },
+            { "type": "crate", "x": 520 },
+            { "type": "crate", "x": 740 }
+        ],
+        "pickups": [
+            { "type": "shard", "x": 310, "height": 90 },
+            { "type": "shard", "x": 530, "height": 90 },
+            { "type": "shard", "x": 750, "height": 90 }
+        ]
+    },
+    {
+        "id": "leap-of-faith",
+        "minDifficulty": 1.3,
+        "buildings": [
+            { "x": 90, "width": 260, "height": 0 },
+            { "x": 520, "width": 420, "height": -60 }
+        ],
+        "pickups": [
+            { "type": "shard", "x": 370, "height": 70 },
+            { "type": "shard", "x": 410, "height": 95 },
+            { "type": "shard", "x": 450, "height": 85 },
+            { "type": "shard", "x": 490, "height": 50 },
+            { "type": "powerup", "x": 435, "height": 120, "powerUp": "slowMotion" }
+        ]
+    },
+    {
+        "id": "glass-tower",
+        "minDifficulty": 1.2,
+        "buildings": [
+            { "x": 100, "width": 300, "height": 0 },
+            { "x": 500, "width": 480, "height": 100, "glass": true }
+        ],
+        "pickups": [
+            { "type": "shard", "x": 620, "height": 30 },
+            { "type": "shard", "x": 660, "height": 30 },
+            { "type": "shard", "x": 700, "height": 30 },
+            { "type": "powerup", "x": 800, "height": 30, "powerUp": "shield" }
+        ]
+    },
+    {
+        "id": "crumble-run",
+        "minDifficulty": 1.5,
+        "buildings": [
+            { "x": 100, "width": 320, "height": 0, "variant": "crumbling" },
+            { "x": 500, "width": 320, "height": 20, "variant": "crumbling" },
+            { "x": 900, "width": 400, "height": 0 }
+        ],
+        "obstacles": [
+            { "type": "acUnit", "x": 1120 }
+        ]
+    },
+    {
+        "id": "billboard-gauntlet",
+        "minDifficulty": 1.8,
+        "buildings": [
+            { "x": 100, "width": 480, "height": 0, "variant": "debris" },
+            { "x": 680, "width": 380, "height": -30 }
+        ],
+        "obstacles": [
+            { "type": "billboard", "x": 340 },
+            { "type": "barrier", "x": 880 }
+        ],
+        "pickups": [
+            { "type": "shard", "x": 885, "height": 110 }
+        ]
+    }
+]);
@@ -0,0 +1,137 @@
+/**
+ * Reachability tests for the rooftop generator
+ * Run with: node --test tests/
+ *
+ * The game scripts are browser globals, so they are loaded into a vm context
+ * the way index.html loads them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const scripts = [
+    'js/utils.js', 'js/physics.js', 'js/buildings.js', 'js/obstacles.js', 'js/platforms.js',
+    'js/pickups.js', 'js/powerups.js', 'js/difficulty.js', 'js/districts.js', 'js/weather.js',
+    'js/bosses.js', 'js/chunks.js', 'levels/chunks.js', 'js/states.js', 'js/skins.js', 'js/player.js',
+    'js/world.js'
+];
+
+/**
+ * Load the generator into a fresh context and build a world from a seed
+ * difficulty is held fixed while generating (moving platforms need 1.3 or more)
+ */
+function createWorld(seed, difficulty = 1, count = 40) {
+    const context = vm.createContext({ console: console, Math: Math, Date: Date, JSON: JSON });
+    for (const script of scripts) {
+        const source = fs.readFileSync(path.join(__dirname, '..', script), 'utf8');
+        vm.runInContext(source, context, { filename: script });
+    }
+    return vm.runInContext(`(() => {
+        const world = new World(800, 600);
+        const player = new Player(100, world.groundY - 48);
+        world.setJumpProfile(player);
+        world.setSeed(${seed});
+        world.difficulty = ${difficulty};
+        world.generateInitialBuildings();
+        while (world.buildings.length < ${count}) world.generateNextBuilding();
+        return { world: world, physics: physics, MovingPlatforms: MovingPlatforms };
+    })()`, context);
+}
+
+test('every generated gap can be cleared at the capped speed penalty', () => {
+    for (const seed of [1, 42, 1234567890]) {
+        const { world, physics } = createWorld(seed);
+        const buildings = world.buildings;
+        
+        for (let i = 1; i < buildings.length; i++) {
+            const next = buildings[i];
+            if (!next.jumpCheck || next.jumpCheck.platform) continue; // Checked hop by hop below
+            
+            const takeoff = world.getTakeoff(buildings[i - 1]);
+            const speed = world.getSpeedAt(takeoff.x) * (1 - world.maxSpeedPenalty);
+            const jump = physics.simulateJump({
+                speed: speed,
+                jumpPower: world.jumpProfile.jumpPower,
+                holdPower: world.jumpProfile.holdPower,
+                holdTime: world.jumpProfile.holdTime,
+                startY: takeoff.y,
+                targetY: next.interior ? next.y + next.interior.depth : next.y,
+                wind: Math.min(0, next.jumpCheck.wind)
+            });
+            const reach = jump.distance - world.jumpProfile.width / 2;
+            
+            assert.ok(reach >= next.x - takeoff.x,
+                `seed ${seed}, building ${i}: reach ${reach.toFixed(1)}px short of gap ${(next.x - takeoff.x).toFixed(1)}px`);
+        }
+    }
+});
+
+test('every platform crossing can be made wherever the platform is on its path', () => {
+    let crossings = 0;
+    
+    for (const seed of [1, 42, 1234567890]) {
+        const { world, physics, MovingPlatforms } = createWorld(seed, 2, 150);
+        const buildings = world.buildings;
+        
+        for (let i = 1; i < buildings.length; i++) {
+            const landing = buildings[i];
+            if (!landing.jumpCheck || !landing.jumpCheck.platform) continue;
+            crossings++;
+            
+            const takeoff = world.getTakeoff(buildings[i - 1]);
+            const platform = world.platforms.find(p => p.anchorX > takeoff.x && p.anchorX < landing.x);
+            assert.ok(platform, `seed ${seed}, building ${i}: no platform in the gap`);
+            
+            // Extremes of the platform's path over a full cycle
+            const period = MovingPlatforms.types[platform.type].period;
+            const positions = [];
+            for (let t = 0; t < period; t += period / 200) {
+                positions.push(MovingPlatforms.getPosition(platform, t));
+            }
+            const left = Math.min(...positions.map(p => p.x));
+            const right = Math.max(...positions.map(p => p.x));
+            const top = Math.min(...positions.map(p => p.y));
+            const bottom = Math.max(...positions.map(p => p.y));
+            
+            const slowest = world.getSlowestSpeedAt(takeoff.x);
+            const speed = world.getSpeedAt(takeoff.x);
+            const wind = landing.jumpCheck.wind;
+            const longestJump = (fromY, toY) => physics.simulateJump({
+                speed: slowest,
+                jumpPower: world.jumpProfile.jumpPower,
+                holdPower: world.jumpProfile.holdPower,
+                holdTime: world.jumpProfile.holdTime,
+                startY: fromY,
+                targetY: toY,
+                wind: Math.min(0, wind)
+            }).distance - world.jumpProfile.width / 2;
+            
+            // Onto the platform at its highest and furthest, off it at its lowest and furthest back
+            assert.ok(longestJump(takeoff.y, top) >= right - takeoff.x,
+                `seed ${seed}, building ${i}: platform out of reach`);
+            assert.ok(longestJump(bottom, landing.y) >= landing.x - (left + platform.width),
+                `seed ${seed}, building ${i}: landing roof out of reach from the platform`);
+            
+            // A tap off the near end at its highest and furthest still lands on the roof
+            const tap = physics.predictLanding(0, top, speed, world.jumpProfile.jumpPower, landing.y, Math.max(0, wind)).x;
+            assert.ok(right + tap <= landing.x + landing.width,
+                `seed ${seed}, building ${i}: a tap off the platform overshoots the landing roof`);
+        }
+    }
+    
+    assert.ok(crossings > 0, 'no platform crossings were generated');
+});
+
+test('glass-fronted buildings are left from their interior floor', () => {
+    const { world } = createWorld(1);
+    const building = { x: 100, y: 300, width: 400, minWidth: 400, variant: 'static', interior: { depth: 90 } };
+    
+    const takeoff = world.getTakeoff(building);
+    
+    assert.strictEqual(takeoff.x, 500);
+    assert.strictEqual(takeoff.y, 390);
+    assert.strictEqual(takeoff.roofY, 300);
+});